@@ -1,14 +1,48 @@
 import { Component } from '@theme/component';
+import { AnnouncementClickEvent, AnnouncementImpressionEvent, ThemeEvents } from '@theme/events';
+
+const DISMISSED_STORAGE_KEY = 'dismissed-announcements';
+const VISIT_STORAGE_KEY = 'announcement-visit';
+
+/**
+ * The campaign and the site the shopper arrived from.
+ *
+ * @typedef {object} Visit
+ * @property {string} utmSource - The `utm_source` of the landing page.
+ * @property {string} utmCampaign - The `utm_campaign` of the landing page.
+ * @property {string} referrer - The address of the site that linked to the store.
+ */
+
+/**
+ * The IDs of the announcements the shopper dismissed.
+ * @type {Set<string>}
+ */
+const dismissedAnnouncements = readDismissedAnnouncements();
+
+/**
+ * The visit announcements are targeted at, kept for the session as UTM parameters only appear on the landing page.
+ * @type {Visit}
+ */
+const visit = readVisit();
 
 /**
  * Announcement banner custom element that allows fading between content.
  * Based on the Slideshow component.
  *
+ * Slides can be scheduled and targeted at markets, logged in customers, cart values and campaigns, and dismissed
+ * by the shopper. Slides that aren't eligible are hidden and skipped by the rotation.
+ *
+ * The rotation stops while the bar has focus, and for good when the shopper presses the pause button. Screen
+ * readers only announce slide changes when the rotation is stopped, so rotating slides don't interrupt them.
+ * Each slide dispatches an `AnnouncementImpressionEvent` the first time it is shown in view, and an
+ * `AnnouncementClickEvent` when one of its links is clicked.
+ *
  * @typedef {object} Refs
  * @property {HTMLElement} slideshowContainer
  * @property {HTMLElement[]} [slides]
  * @property {HTMLButtonElement} [previous]
  * @property {HTMLButtonElement} [next]
+ * @property {HTMLButtonElement} [playbackButton]
  *
  * @extends {Component<Refs>}
  */
@@ -21,14 +55,50 @@ export class AnnouncementBar extends Component {
    */
   #interval = undefined;
 
+  /**
+   * The IDs of the announcements whose impression was reported on this page.
+   * @type {Set<string>}
+   */
+  #reportedImpressions = new Set();
+
+  /**
+   * Whether the bar is in the viewport.
+   * @type {boolean}
+   */
+  #isInView = false;
+
+  #intersectionObserver = new IntersectionObserver(
+    ([entry]) => {
+      this.#isInView = entry?.isIntersecting ?? false;
+      this.#reportImpression();
+    },
+    { threshold: 0.5 }
+  );
+
   connectedCallback() {
     super.connectedCallback();
 
     this.addEventListener('mouseenter', this.suspend);
     this.addEventListener('mouseleave', this.resume);
+    this.addEventListener('focusin', this.#handleFocusIn);
+    this.addEventListener('focusout', this.#handleFocusOut);
+    this.addEventListener('click', this.#handleClick);
     document.addEventListener('visibilitychange', this.#handleVisibilityChange);
+    document.addEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
+    this.#intersectionObserver.observe(this);
 
+    this.current = 0;
     this.play();
+    this.#updateLiveRegion();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener('visibilitychange', this.#handleVisibilityChange);
+    document.removeEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
+    this.#intersectionObserver.disconnect();
+    this.suspend();
   }
 
   next() {
@@ -39,6 +109,41 @@ export class AnnouncementBar extends Component {
     this.current -= 1;
   }
 
+  /**
+   * Dismisses the announcement of a slide for good.
+   * @param {Event} event - The click event of the dismiss button.
+   */
+  dismiss(event) {
+    if (!(event.target instanceof Element)) return;
+
+    const slide = event.target.closest('slideshow-slide');
+    const id = slide instanceof HTMLElement ? slide.dataset.announcementId : undefined;
+    if (!id) return;
+
+    dismissedAnnouncements.add(id);
+
+    try {
+      localStorage.setItem(DISMISSED_STORAGE_KEY, JSON.stringify([...dismissedAnnouncements]));
+    } catch (error) {
+      console.error('Dismissed announcements could not be stored:', error);
+    }
+
+    // Shows the next eligible slide, as the current one no longer is
+    this.current = this.#current;
+  }
+
+  /**
+   * Pauses automatic slide playback if it is playing, and plays it otherwise.
+   */
+  togglePlayback() {
+    if (this.paused) {
+      this.suspend();
+      this.play();
+    } else {
+      this.pause();
+    }
+  }
+
   /**
    * Starts automatic slide playback.
    * @param {number} [interval] - The time interval in seconds between slides.
@@ -53,6 +158,8 @@ export class AnnouncementBar extends Component {
 
       this.next();
     }, interval);
+
+    this.#updateLiveRegion();
   }
 
   /**
@@ -69,6 +176,11 @@ export class AnnouncementBar extends Component {
 
   set paused(paused) {
     this.toggleAttribute('paused', paused);
+
+    const { playbackButton } = this.refs;
+    const label = paused ? playbackButton?.dataset.playLabel : playbackButton?.dataset.pauseLabel;
+
+    if (playbackButton && label) playbackButton.setAttribute('aria-label', label);
   }
 
   /**
@@ -77,15 +189,16 @@ export class AnnouncementBar extends Component {
   suspend() {
     clearInterval(this.#interval);
     this.#interval = undefined;
+    this.#updateLiveRegion();
   }
 
   /**
-   * Resumes automatic slide playback if autoplay is enabled.
+   * Resumes automatic slide playback if autoplay is enabled, unless the shopper paused it or the bar has focus.
    */
   resume() {
-    if (!this.autoplay || this.paused) return;
+    if (!this.autoplay || this.paused || this.contains(document.activeElement)) return;
 
-    this.pause();
+    this.suspend();
     this.play();
   }
 
@@ -106,23 +219,218 @@ export class AnnouncementBar extends Component {
     return this.#current;
   }
 
+  /**
+   * Shows a slide, or the closest eligible one in the direction of travel.
+   * @param {number} current - The index of the slide.
+   */
   set current(current) {
-    this.#current = current;
+    const slides = this.refs.slides ?? [];
+    const step = current < this.#current ? -1 : 1;
+    const eligibleSlides = slides.filter((slide) => this.#isEligible(slide));
+
+    let currentIndex = -1;
+
+    for (let offset = 0; offset < slides.length; offset++) {
+      const index = wrapIndex(current + offset * step, slides.length);
+      const slide = slides[index];
 
-    let relativeIndex = current % (this.refs.slides ?? []).length;
-    if (relativeIndex < 0) {
-      relativeIndex += (this.refs.slides ?? []).length;
+      if (slide && eligibleSlides.includes(slide)) {
+        currentIndex = index;
+        break;
+      }
     }
 
-    this.refs.slides?.forEach((slide, index) => {
-      slide.setAttribute('aria-hidden', `${index !== relativeIndex}`);
+    this.#current = Math.max(currentIndex, 0);
+    this.toggleAttribute('empty', eligibleSlides.length === 0);
+    this.toggleAttribute('single', eligibleSlides.length < 2);
+
+    slides.forEach((slide, index) => {
+      slide.setAttribute('aria-hidden', `${index !== currentIndex}`);
+      slide.toggleAttribute('hidden', !eligibleSlides.includes(slide));
     });
+
+    this.#reportImpression();
+  }
+
+  /**
+   * Whether a slide is scheduled now, targeted at the shopper and not dismissed.
+   * The theme editor shows every slide.
+   * @param {HTMLElement} slide - The slide.
+   * @returns {boolean}
+   */
+  #isEligible(slide) {
+    if (Shopify.designMode) return true;
+
+    const { announcementId, startsAt, endsAt, markets, customer, cartMinimum, cartMaximum } = slide.dataset;
+    const { utmSource, utmCampaign, referrer } = slide.dataset;
+    const now = Date.now() / 1000;
+    const cartSubtotal = Number(this.dataset.cartSubtotal) || 0;
+
+    if (announcementId && dismissedAnnouncements.has(announcementId)) return false;
+    if (startsAt && now < Number(startsAt)) return false;
+    if (endsAt && now >= Number(endsAt)) return false;
+
+    if (markets) {
+      const codes = markets.split(',').map((code) => code.trim().toLowerCase());
+      const country = Shopify.country.toLowerCase();
+      const market = (this.dataset.market ?? '').toLowerCase();
+
+      if (!codes.includes(country) && !codes.includes(market)) return false;
+    }
+
+    if (customer && customer !== this.dataset.customer) return false;
+    if (cartMinimum && cartSubtotal < Number(cartMinimum)) return false;
+    if (cartMaximum && cartSubtotal > Number(cartMaximum)) return false;
+    if (utmSource && !isSameValue(utmSource, visit.utmSource)) return false;
+    if (utmCampaign && !isSameValue(utmCampaign, visit.utmCampaign)) return false;
+    if (referrer && !visit.referrer.toLowerCase().includes(referrer.trim().toLowerCase())) return false;
+
+    return true;
+  }
+
+  /**
+   * Reports the impression of the current slide, once per page, when it is shown in view.
+   */
+  #reportImpression() {
+    if (!this.#isInView || document.hidden || this.hasAttribute('empty')) return;
+
+    const slides = this.refs.slides ?? [];
+    const slide = slides[this.#current];
+    const id = slide?.dataset.announcementId;
+
+    if (!id || this.#reportedImpressions.has(id)) return;
+
+    this.#reportedImpressions.add(id);
+    this.dispatchEvent(new AnnouncementImpressionEvent(id, this.#current + 1));
+  }
+
+  /**
+   * Lets screen readers announce slide changes only when the slides aren't rotating.
+   */
+  #updateLiveRegion() {
+    this.refs.slideshowContainer?.setAttribute('aria-live', this.#interval === undefined ? 'polite' : 'off');
   }
 
   /**
-   * Pause the slideshow when the page is hidden.
+   * Suspends the slideshow when focus moves into the bar.
+   * @param {FocusEvent} event - The focusin event.
+   */
+  #handleFocusIn = (event) => {
+    if (event.relatedTarget instanceof Node && this.contains(event.relatedTarget)) return;
+
+    this.suspend();
+  };
+
+  /**
+   * Resumes the slideshow when focus leaves the bar.
+   * @param {FocusEvent} event - The focusout event.
+   */
+  #handleFocusOut = (event) => {
+    if (event.relatedTarget instanceof Node && this.contains(event.relatedTarget)) return;
+
+    this.resume();
+  };
+
+  /**
+   * Reports clicks on the links of the slides.
+   * @param {MouseEvent} event - The click event.
+   */
+  #handleClick = (event) => {
+    if (!(event.target instanceof Element)) return;
+
+    const link = event.target.closest('a[href]');
+    const slide = link?.closest('slideshow-slide');
+    const id = slide instanceof HTMLElement ? slide.dataset.announcementId : undefined;
+
+    if (!(link instanceof HTMLAnchorElement) || !slide || !id) return;
+
+    const position = (this.refs.slides ?? []).indexOf(/** @type {HTMLElement} */ (slide)) + 1;
+
+    this.dispatchEvent(new AnnouncementClickEvent(id, position, link.href));
+  };
+
+  /**
+   * Suspends the slideshow while the page is hidden, and reports the impression of the current slide when it is
+   * shown again.
    */
-  #handleVisibilityChange = () => (document.hidden ? this.pause() : this.resume());
+  #handleVisibilityChange = () => {
+    if (document.hidden) {
+      this.suspend();
+    } else {
+      this.resume();
+      this.#reportImpression();
+    }
+  };
+
+  /**
+   * Shows or hides the slides targeted at cart values.
+   * @param {import('@theme/events').CartStateChangeEvent} event - The cart state change event.
+   */
+  #handleCartStateChange = (event) => {
+    this.dataset.cartSubtotal = String(event.detail.cart.items_subtotal_price);
+    this.current = this.#current;
+  };
+}
+
+/**
+ * Wraps an index around the length of a list.
+ * @param {number} index - The index.
+ * @param {number} length - The length of the list.
+ * @returns {number}
+ */
+function wrapIndex(index, length) {
+  return length ? ((index % length) + length) % length : 0;
+}
+
+/**
+ * Whether two values are the same, ignoring case and surrounding whitespace.
+ * @param {string} a - A value.
+ * @param {string} b - Another value.
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Reads the dismissed announcements from localStorage.
+ * @returns {Set<string>}
+ */
+function readDismissedAnnouncements() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(DISMISSED_STORAGE_KEY) || '[]');
+    return new Set(Array.isArray(ids) ? ids.filter((id) => typeof id === 'string') : []);
+  } catch (_) {
+    return new Set();
+  }
+}
+
+/**
+ * Reads the visit from the landing page, or from sessionStorage on the next pages.
+ * @returns {Visit}
+ */
+function readVisit() {
+  const params = new URLSearchParams(window.location.search);
+  const referrer =
+    document.referrer && new URL(document.referrer).host !== window.location.host ? document.referrer : '';
+
+  /** @type {Visit} */
+  const landingVisit = {
+    utmSource: params.get('utm_source') ?? '',
+    utmCampaign: params.get('utm_campaign') ?? '',
+    referrer,
+  };
+
+  try {
+    if (landingVisit.utmSource || landingVisit.utmCampaign || landingVisit.referrer) {
+      sessionStorage.setItem(VISIT_STORAGE_KEY, JSON.stringify(landingVisit));
+      return landingVisit;
+    }
+
+    return { ...landingVisit, ...JSON.parse(sessionStorage.getItem(VISIT_STORAGE_KEY) || '{}') };
+  } catch (_) {
+    return landingVisit;
+  }
 }
 
 if (!customElements.get('announcement-bar-component')) {
@@ -1,8 +1,8 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -60,19 +60,11 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartStore.updateDiscounts(
+        [...existingDiscounts, discountCodeValue],
+        { sections: [this.dataset.sectionId] },
+        { signal: abortController.signal }
+      );
 
       if (
         data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
@@ -149,16 +141,11 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
-
-      const data = await response.json();
+      const data = await cartStore.updateDiscounts(
+        existingDiscounts,
+        { sections: [this.dataset.sectionId] },
+        { signal: abortController.signal }
+      );
 
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
       morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
@@ -1,5 +1,5 @@
 import { DialogComponent } from '@theme/dialog';
-import { CartAddEvent } from '@theme/events';
+import { CartAddEvent, CartStateChangeEvent, ThemeEvents } from '@theme/events';
 
 /**
  * A custom element that manages a cart drawer.
@@ -10,11 +10,13 @@ class CartDrawerComponent extends DialogComponent {
   connectedCallback() {
     super.connectedCallback();
     document.addEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    document.addEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
+    document.removeEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
   }
 
   #handleCartAdd = () => {
@@ -23,6 +25,14 @@ class CartDrawerComponent extends DialogComponent {
     }
   };
 
+  /**
+   * Keeps the empty state of the drawer in sync with the cart store.
+   * @param {CartStateChangeEvent} event - The cart state change event.
+   */
+  #handleCartStateChange = (event) => {
+    this.refs.dialog.classList.toggle('cart-drawer--empty', event.detail.cart.item_count === 0);
+  };
+
   open() {
     this.showDialog();
 
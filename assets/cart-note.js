@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { debounce, fetchConfig } from '@theme/utilities';
+import { debounce } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
 
 /**
  * A custom element that displays a cart note.
@@ -25,14 +26,7 @@ class CartNote extends Component {
     this.#activeFetch = abortController;
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ note }),
-      });
-
-      await fetch(Theme.routes.cart_update_url, {
-        ...config,
-        signal: abortController.signal,
-      });
+      await cartStore.updateNote(note, { signal: abortController.signal });
     } catch (error) {
     } finally {
       this.#activeFetch = null;
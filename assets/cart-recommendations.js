@@ -0,0 +1,174 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { cartStore } from '@theme/cart-store';
+import { requestIdleCallback } from '@theme/utilities';
+
+/**
+ * The section that renders the recommendations for a single product.
+ */
+const RECOMMENDATIONS_SECTION_ID = 'cart-recommendations';
+
+/**
+ * The number of cart products recommendations are requested for. The most recently added products come first.
+ */
+const MAX_SOURCE_PRODUCTS = 3;
+
+/**
+ * A custom element that recommends products based on the products in the cart.
+ *
+ * Recommendations are requested for each product in the cart, merged in cart order and filtered so that products
+ * already in the cart are never recommended. Each recommendation adds to the cart through the product form component.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The wrapper that is hidden when there is nothing to recommend.
+ * @property {HTMLElement} products - The container the recommended products are rendered into.
+ *
+ * @extends {Component<Refs>}
+ */
+class CartRecommendations extends Component {
+  requiredRefs = ['content', 'products'];
+
+  /**
+   * The product IDs the current recommendations were loaded for.
+   * @type {string}
+   */
+  #loadedFor = '';
+
+  /**
+   * An abort controller for the active load (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeLoad = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    requestIdleCallback(() => this.#loadRecommendations());
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    this.#activeLoad?.abort();
+  }
+
+  #handleCartUpdate = () => {
+    this.#loadRecommendations();
+  };
+
+  /**
+   * The IDs of the products in the cart, without duplicates.
+   * @returns {string[]}
+   */
+  get productIds() {
+    const items = cartStore.cart?.items;
+    const ids = items ? items.map((item) => String(item.product_id)) : (this.dataset.productIds ?? '').split(',');
+
+    return [...new Set(ids.filter(Boolean))];
+  }
+
+  /**
+   * Loads the recommendations for the products in the cart, unless they are already shown.
+   */
+  async #loadRecommendations() {
+    const productIds = this.productIds;
+    const key = productIds.join(',');
+
+    if (key === this.#loadedFor) return;
+
+    this.#activeLoad?.abort();
+
+    const abortController = new AbortController();
+    this.#activeLoad = abortController;
+
+    try {
+      const items = await this.#fetchRecommendations(productIds.slice(0, MAX_SOURCE_PRODUCTS));
+
+      if (abortController.signal.aborted) return;
+
+      this.#loadedFor = key;
+      this.#render(items.filter((item) => !productIds.includes(item.dataset.productId ?? '')));
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      this.#handleError(/** @type {Error} */ (error));
+    } finally {
+      if (this.#activeLoad === abortController) this.#activeLoad = null;
+    }
+  }
+
+  /**
+   * Fetches the recommendations for each product and merges them, dropping duplicates.
+   * @param {string[]} productIds - The IDs of the products to get recommendations for.
+   * @returns {Promise<HTMLElement[]>} The recommended items, in the order of the products they were recommended for.
+   */
+  async #fetchRecommendations(productIds) {
+    const { intent = 'complementary' } = this.dataset;
+
+    const responses = await Promise.all(
+      productIds.map((productId) => {
+        const url = new URL(Theme.routes.product_recommendations_url, location.origin);
+        url.searchParams.set('product_id', productId);
+        url.searchParams.set('intent', intent);
+        url.searchParams.set('limit', String(this.limit + productIds.length));
+
+        return sectionRenderer.getSectionHTML(RECOMMENDATIONS_SECTION_ID, true, url);
+      })
+    );
+
+    /** @type {Map<string, HTMLElement>} */
+    const items = new Map();
+
+    for (const html of responses) {
+      const section = new DOMParser().parseFromString(html, 'text/html');
+
+      for (const item of section.querySelectorAll('.cart-recommendations__item[data-product-id]')) {
+        if (!(item instanceof HTMLElement) || !item.dataset.productId) continue;
+        if (items.has(item.dataset.productId)) continue;
+
+        items.set(item.dataset.productId, item);
+      }
+    }
+
+    return [...items.values()];
+  }
+
+  /**
+   * Renders the recommended items, hiding the recommendations when there are none.
+   * @param {HTMLElement[]} items - The recommended items.
+   */
+  #render(items) {
+    const { content, products } = this.refs;
+    const list = document.createElement('ul');
+
+    list.className = 'cart-recommendations__list list-unstyled';
+    list.append(...items.slice(0, this.limit).map((item) => document.importNode(item, true)));
+
+    products.replaceChildren(list);
+    content.classList.toggle('hidden', list.childElementCount === 0);
+  }
+
+  /**
+   * Handle errors in a consistent way
+   * @param {Error} error
+   */
+  #handleError(error) {
+    console.error('Cart recommendations error:', error);
+    this.refs.content.classList.add('hidden');
+  }
+
+  /**
+   * The maximum number of products to recommend.
+   * @returns {number}
+   */
+  get limit() {
+    return Number(this.dataset.limit) || 3;
+  }
+}
+
+if (!customElements.get('cart-recommendations')) {
+  customElements.define('cart-recommendations', CartRecommendations);
+}
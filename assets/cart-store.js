@@ -0,0 +1,719 @@
+import { fetchConfig } from '@theme/utilities';
+import { CartPendingActionsEvent, CartStateChangeEvent, CartUpdateEvent, ThemeEvents } from '@theme/events';
+
+/**
+ * @typedef {Object} CartLineItem
+ * @property {number} id - The variant ID of the line item.
+ * @property {string} key - The unique key of the line item.
+ * @property {number} quantity - The quantity of the line item.
+ * @property {number} variant_id - The variant ID of the line item.
+ * @property {number} product_id - The product ID of the line item.
+ * @property {string} title - The title of the line item.
+ * @property {string} product_title - The title of the product.
+ * @property {string | null} variant_title - The title of the variant.
+ * @property {string} handle - The handle of the product.
+ * @property {string} url - The URL of the line item.
+ * @property {string | null} image - The image URL of the line item.
+ * @property {number} price - The price of a single unit, in cents.
+ * @property {number} original_price - The original price of a single unit, in cents.
+ * @property {number} final_price - The final price of a single unit, in cents.
+ * @property {number} line_price - The price of the line, in cents.
+ * @property {number} original_line_price - The original price of the line, in cents.
+ * @property {number} final_line_price - The final price of the line, in cents.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ * @property {{ selling_plan: { id: number } } | null} [selling_plan_allocation] - The selling plan allocation.
+ */
+
+/**
+ * @typedef {Object} CartDiscountCode
+ * @property {string} code - The discount code.
+ * @property {boolean} applicable - Whether the discount code applies to the cart.
+ */
+
+/**
+ * @typedef {Object} Cart
+ * @property {string} token - The cart token.
+ * @property {string | null} note - The cart note.
+ * @property {Record<string, string>} attributes - The cart attributes.
+ * @property {number} item_count - The number of items in the cart.
+ * @property {number} original_total_price - The total price before discounts, in cents.
+ * @property {number} items_subtotal_price - The subtotal of the line items, in cents.
+ * @property {number} total_price - The total price, in cents.
+ * @property {number} total_discount - The total discount, in cents.
+ * @property {string} currency - The ISO code of the cart currency.
+ * @property {boolean} requires_shipping - Whether the cart requires shipping.
+ * @property {CartLineItem[]} items - The line items.
+ * @property {CartDiscountCode[]} [discount_codes] - The discount codes applied to the cart.
+ */
+
+/**
+ * @typedef {'load' | 'refresh' | 'add' | 'change' | 'update' | 'note' | 'discount' | 'rollback' | 'sync'} CartAction
+ */
+
+/**
+ * @typedef {Object} CartLineChange
+ * @property {string} key - The key of the changed line item.
+ * @property {number} quantity - The new quantity of the line item.
+ */
+
+/**
+ * @typedef {Object} CartRequestOptions
+ * @property {AbortSignal} [signal] - A signal to abort the request.
+ */
+
+/**
+ * @typedef {CartRequestOptions & { optimistic?: boolean }} CartChangeOptions
+ */
+
+/**
+ * @typedef {Object} CartPendingAction
+ * @property {string} id - A unique id for the action.
+ * @property {'add' | 'note' | 'discount'} type - The type of the action.
+ * @property {any} payload - The serialized request payload.
+ * @property {number} attempts - How many times the action has been retried.
+ * @property {'pending' | 'failed'} status - Whether the action is still retried automatically.
+ */
+
+const PENDING_ACTIONS_STORAGE_KEY = 'cart-pending-actions';
+const SYNC_CHANNEL_NAME = 'cart-sync';
+const MAX_RETRY_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 1000;
+const RETRY_MAX_DELAY = 30000;
+
+/**
+ * Action types where a newer action replaces any queued one, since it sends the complete state.
+ * @type {CartPendingAction['type'][]}
+ */
+const SUPERSEDING_ACTIONS = ['note', 'discount'];
+
+/**
+ * A store that owns the cart state for every cart component.
+ *
+ * All mutations go through a single queue so requests never race each other, and every state change
+ * is announced with a `CartStateChangeEvent` on the document.
+ *
+ * Optimistic line changes are applied on top of the last cart returned by the server until their request
+ * settles, and are dropped again if it fails.
+ *
+ * Adds, note and discount updates that can't reach the server are kept in localStorage and replayed with
+ * backoff once the connection is back.
+ *
+ * Every cart update is broadcast to the other tabs of the store, which take over the new cart with a `sync` action.
+ */
+class CartStore {
+  /**
+   * The current cart, or null until it has been loaded.
+   * @type {Cart | null}
+   */
+  #cart = null;
+
+  /**
+   * The last cart returned by the server.
+   * @type {Cart | null}
+   */
+  #serverCart = null;
+
+  /**
+   * The optimistic line changes that are waiting for a server response.
+   * @type {CartLineChange[]}
+   */
+  #pendingChanges = [];
+
+  /**
+   * The tail of the request queue.
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * The pending initial load.
+   * @type {Promise<Cart | null> | null}
+   */
+  #loading = null;
+
+  /**
+   * The actions waiting to be replayed.
+   * @type {CartPendingAction[]}
+   */
+  #pendingActions = readPendingActions();
+
+  /** @type {number | undefined} */
+  #retryTimeout;
+
+  /**
+   * The channel shared with the other tabs of the store.
+   * @type {BroadcastChannel | null}
+   */
+  #syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(SYNC_CHANNEL_NAME) : null;
+
+  constructor() {
+    // Pages restored from the back/forward cache render a stale cart
+    window.addEventListener('pageshow', (event) => {
+      if (event.persisted) this.refresh();
+    });
+
+    window.addEventListener('online', () => this.#replayPendingActions());
+    window.addEventListener('storage', (event) => {
+      if (event.key !== PENDING_ACTIONS_STORAGE_KEY) return;
+
+      this.#pendingActions = readPendingActions();
+      document.dispatchEvent(new CartPendingActionsEvent(this.#pendingActions));
+    });
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#broadcast);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#broadcast);
+    this.#syncChannel?.addEventListener('message', this.#handleBroadcast);
+
+    this.#scheduleRetry();
+  }
+
+  /**
+   * The current cart, or null until it has been loaded.
+   * @returns {Cart | null}
+   */
+  get cart() {
+    return this.#cart;
+  }
+
+  /**
+   * Whether optimistic changes are still waiting for a server response.
+   * @returns {boolean}
+   */
+  get hasPendingChanges() {
+    return this.#pendingChanges.length > 0;
+  }
+
+  /**
+   * The actions that could not reach the server yet.
+   * @returns {CartPendingAction[]}
+   */
+  get pendingActions() {
+    return this.#pendingActions;
+  }
+
+  /**
+   * Loads the cart once. Later calls resolve with the cart already held by the store.
+   * @returns {Promise<Cart | null>}
+   */
+  load() {
+    if (this.#cart) return Promise.resolve(this.#cart);
+
+    this.#loading ??= this.#enqueue(() => this.#fetchCart('load'));
+
+    return this.#loading;
+  }
+
+  /**
+   * Fetches the cart from the server, replacing the current state.
+   * @returns {Promise<Cart | null>}
+   */
+  refresh() {
+    return this.#enqueue(() => this.#fetchCart('refresh'));
+  }
+
+  /**
+   * Adds items to the cart.
+   * The `/cart/add.js` response only contains the added items, so the cart is fetched again afterwards.
+   * This also happens when the request fails, since the server may still add the maximum allowed quantity.
+   * @param {FormData} body - The product form data.
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The parsed `/cart/add.js` response.
+   */
+  add(body, options = {}) {
+    return this.#enqueue(() => this.#perform('add', serializeFormData(body), () => this.#postAdd(body, options)));
+  }
+
+  /**
+   * Changes the quantity of a line item.
+   * With the `optimistic` option, a change addressed by line item key is reflected in the cart right away
+   * and rolled back if the request fails.
+   * @param {Object} body - The request body.
+   * @param {number} [body.line] - The 1-based index of the line item.
+   * @param {string} [body.id] - The key of the line item.
+   * @param {number} body.quantity - The new quantity.
+   * @param {string} [body.sections] - The comma separated sections to render.
+   * @param {string} [body.sections_url] - The URL to render the sections for.
+   * @param {CartChangeOptions} [options]
+   * @returns {Promise<any>} The parsed `/cart/change.js` response.
+   */
+  change(body, options = {}) {
+    /** @type {CartLineChange | null} */
+    const pendingChange = options.optimistic && body.id ? { key: body.id, quantity: body.quantity } : null;
+
+    if (pendingChange) {
+      this.#pendingChanges.push(pendingChange);
+      this.#render('change');
+    }
+
+    return this.#enqueue(() => this.#post(Theme.routes.cart_change_url, body, 'change', options, pendingChange));
+  }
+
+  /**
+   * Updates quantities, attributes, the note or discounts of the cart.
+   * @param {Object} body - The `/cart/update.js` request body.
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The parsed `/cart/update.js` response.
+   */
+  update(body, options = {}) {
+    return this.#enqueue(() => this.#post(Theme.routes.cart_update_url, body, 'update', options));
+  }
+
+  /**
+   * Updates the cart note.
+   * @param {string} note - The new note.
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The parsed `/cart/update.js` response.
+   */
+  updateNote(note, options = {}) {
+    return this.#enqueue(() =>
+      this.#perform('note', note, () => this.#post(Theme.routes.cart_update_url, { note }, 'note', options))
+    );
+  }
+
+  /**
+   * Replaces the discount codes applied to the cart.
+   * @param {string[]} codes - The discount codes.
+   * @param {Object} [body] - Additional request body properties.
+   * @param {string[]} [body.sections] - The sections to render.
+   * @param {CartRequestOptions} [options]
+   * @returns {Promise<any>} The parsed `/cart/update.js` response.
+   */
+  updateDiscounts(codes, body = {}, options = {}) {
+    return this.#enqueue(() =>
+      this.#perform('discount', codes, () =>
+        this.#post(Theme.routes.cart_update_url, { ...body, discount: codes.join(',') }, 'discount', options)
+      )
+    );
+  }
+
+  /**
+   * Replays every queued action, including the ones that failed.
+   * @returns {Promise<void>}
+   */
+  retryPendingActions() {
+    this.#setPendingActions(this.#pendingActions.map((action) => ({ ...action, attempts: 0, status: 'pending' })));
+
+    return this.#replayPendingActions();
+  }
+
+  /**
+   * Forgets the queued actions that failed.
+   */
+  discardFailedActions() {
+    this.#setPendingActions(this.#pendingActions.filter((action) => action.status !== 'failed'));
+  }
+
+  /**
+   * Shares the cart with the other tabs after a cart update in this tab.
+   * Waits for the queue, so the cart includes the request that triggered the update.
+   */
+  #broadcast = () => {
+    this.#enqueue(async () => {
+      this.#syncChannel?.postMessage({ cart: this.#serverCart });
+    });
+  };
+
+  /**
+   * Takes over a cart updated in another tab.
+   * @param {MessageEvent<{ cart: Cart | null }>} event - The message event.
+   */
+  #handleBroadcast = (event) => {
+    const { cart } = event.data;
+
+    if (cart) {
+      this.#setCart(cart, 'sync');
+    } else {
+      this.#enqueue(() => this.#fetchCart('sync'));
+    }
+  };
+
+  /**
+   * Runs a task once every previously queued task has settled.
+   * @template T
+   * @param {() => Promise<T>} task - The task to run.
+   * @returns {Promise<T>}
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task, task);
+
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Sends a request, or queues it to be replayed when it can't reach the server.
+   * @param {CartPendingAction['type']} type - The type of the action.
+   * @param {any} payload - The serialized payload used to replay the action, or null if it can't be serialized.
+   * @param {() => Promise<any>} request - The request.
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #perform(type, payload, request) {
+    if (payload === null) return request();
+
+    if (navigator.onLine) {
+      try {
+        const data = await request();
+
+        if (SUPERSEDING_ACTIONS.includes(type)) {
+          this.#setPendingActions(this.#pendingActions.filter((action) => action.type !== type));
+        }
+
+        return data;
+      } catch (error) {
+        if (!isNetworkError(error)) throw error;
+      }
+    }
+
+    const actions = SUPERSEDING_ACTIONS.includes(type)
+      ? this.#pendingActions.filter((action) => action.type !== type)
+      : [...this.#pendingActions];
+
+    actions.push({ id: crypto.randomUUID(), type, payload, attempts: 0, status: 'pending' });
+
+    this.#setPendingActions(actions);
+    this.#scheduleRetry();
+
+    throw new CartActionQueuedError(type);
+  }
+
+  /**
+   * Replays the pending actions in order, stopping at the first one that can't reach the server.
+   * Actions are taken out of storage before they are sent so other tabs don't replay them too.
+   * @returns {Promise<void>}
+   */
+  #replayPendingActions() {
+    clearTimeout(this.#retryTimeout);
+
+    return this.#enqueue(async () => {
+      let replayed = false;
+
+      this.#pendingActions = readPendingActions();
+
+      for (const action of this.#pendingActions.filter(({ status }) => status === 'pending')) {
+        if (!navigator.onLine) break;
+
+        this.#setPendingActions(this.#pendingActions.filter(({ id }) => id !== action.id));
+
+        try {
+          const data = await this.#replay(action);
+
+          if (data.status || data.errors) {
+            this.#setPendingActions([...this.#pendingActions, { ...action, status: 'failed' }]);
+          } else {
+            replayed = true;
+          }
+        } catch (error) {
+          if (!isNetworkError(error)) {
+            console.error(error);
+            this.#setPendingActions([...this.#pendingActions, { ...action, status: 'failed' }]);
+            continue;
+          }
+
+          const attempts = action.attempts + 1;
+          const status = attempts < MAX_RETRY_ATTEMPTS ? 'pending' : 'failed';
+
+          this.#setPendingActions([{ ...action, attempts, status }, ...this.#pendingActions]);
+          this.#scheduleRetry();
+          break;
+        }
+      }
+
+      if (replayed) {
+        document.dispatchEvent(
+          new CartUpdateEvent(this.#cart ?? {}, 'cart-store', {
+            source: 'cart-store',
+            itemCount: this.#cart?.item_count,
+          })
+        );
+      }
+    });
+  }
+
+  /**
+   * Sends a queued action.
+   * @param {CartPendingAction} action - The action.
+   * @returns {Promise<any>} The parsed response.
+   */
+  #replay(action) {
+    switch (action.type) {
+      case 'add':
+        return this.#postAdd(deserializeFormData(action.payload), {});
+      case 'note':
+        return this.#post(Theme.routes.cart_update_url, { note: action.payload }, 'note', {});
+      case 'discount':
+        return this.#post(Theme.routes.cart_update_url, { discount: action.payload.join(',') }, 'discount', {});
+    }
+  }
+
+  /**
+   * Schedules a replay of the pending actions, backing off with every failed attempt.
+   */
+  #scheduleRetry() {
+    clearTimeout(this.#retryTimeout);
+
+    const action = this.#pendingActions.find(({ status }) => status === 'pending');
+
+    // The `online` event triggers the replay when the browser knows it is offline
+    if (!action || !navigator.onLine) return;
+
+    const delay = Math.min(RETRY_BASE_DELAY * 2 ** action.attempts, RETRY_MAX_DELAY);
+
+    this.#retryTimeout = setTimeout(() => this.#replayPendingActions(), delay);
+  }
+
+  /**
+   * Replaces the pending actions, persists them and notifies listeners.
+   * @param {CartPendingAction[]} actions - The pending actions.
+   */
+  #setPendingActions(actions) {
+    this.#pendingActions = actions;
+
+    try {
+      if (actions.length) {
+        localStorage.setItem(PENDING_ACTIONS_STORAGE_KEY, JSON.stringify(actions));
+      } else {
+        localStorage.removeItem(PENDING_ACTIONS_STORAGE_KEY);
+      }
+    } catch (_) {
+      // Storage may be full or unavailable, the actions are still kept in memory
+    }
+
+    document.dispatchEvent(new CartPendingActionsEvent(actions));
+  }
+
+  /**
+   * Posts product form data to `/cart/add.js` and fetches the cart afterwards.
+   * @param {FormData} body - The product form data.
+   * @param {CartRequestOptions} options
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #postAdd(body, options) {
+    const config = fetchConfig('javascript', { body });
+    const response = await fetch(Theme.routes.cart_add_url, {
+      ...config,
+      headers: {
+        ...config.headers,
+        Accept: 'text/html',
+      },
+      signal: options.signal,
+    });
+    const data = await response.json();
+
+    await this.#fetchCart('add');
+
+    return data;
+  }
+
+  /**
+   * Posts a JSON body to a cart endpoint and stores the returned cart.
+   * @param {string} url - The endpoint.
+   * @param {Object} body - The request body.
+   * @param {CartAction} action - The action that triggered the request.
+   * @param {CartRequestOptions} options
+   * @param {CartLineChange | null} [pendingChange] - The optimistic change settled by this request.
+   * @returns {Promise<any>} The parsed response.
+   */
+  async #post(url, body, action, options, pendingChange = null) {
+    let response;
+    let data;
+
+    try {
+      response = await fetch(url, {
+        ...fetchConfig('json', { body: JSON.stringify(body) }),
+        signal: options.signal,
+      });
+      data = await response.json();
+    } catch (error) {
+      this.#settle(pendingChange, 'rollback');
+      throw error;
+    }
+
+    if (response.ok && !data.errors) {
+      const { sections, ...cart } = data;
+
+      this.#settle(pendingChange);
+      this.#setCart(/** @type {Cart} */ (cart), action);
+    } else {
+      this.#settle(pendingChange, 'rollback');
+    }
+
+    return data;
+  }
+
+  /**
+   * Removes a settled optimistic change.
+   * @param {CartLineChange | null} pendingChange - The optimistic change.
+   * @param {CartAction} [action] - When set, the cart is rendered again without the change.
+   */
+  #settle(pendingChange, action) {
+    if (!pendingChange) return;
+
+    const index = this.#pendingChanges.indexOf(pendingChange);
+    if (index === -1) return;
+
+    this.#pendingChanges.splice(index, 1);
+
+    if (action) this.#render(action);
+  }
+
+  /**
+   * Fetches the cart and stores it.
+   * @param {CartAction} action - The action that triggered the fetch.
+   * @returns {Promise<Cart | null>}
+   */
+  async #fetchCart(action) {
+    try {
+      const response = await fetch(`${Theme.routes.cart_url}.js`, { headers: { Accept: 'application/json' } });
+
+      if (!response.ok) throw new Error(`Failed to fetch cart: HTTP error ${response.status}`);
+
+      this.#setCart(await response.json(), action);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      this.#loading = null;
+    }
+
+    return this.#cart;
+  }
+
+  /**
+   * Replaces the server cart and notifies listeners.
+   * @param {Cart} cart - The new cart.
+   * @param {CartAction} action - The action that produced the new cart.
+   */
+  #setCart(cart, action) {
+    this.#serverCart = cart;
+    this.#render(action);
+  }
+
+  /**
+   * Applies the pending changes to the server cart and notifies listeners.
+   * @param {CartAction} action - The action that produced the new cart.
+   */
+  #render(action) {
+    if (!this.#serverCart) return;
+
+    const previousCart = this.#cart;
+    const cart = applyLineChanges(this.#serverCart, this.#pendingChanges);
+    this.#cart = cart;
+
+    document.dispatchEvent(new CartStateChangeEvent(cart, previousCart, action, this.hasPendingChanges));
+  }
+}
+
+/**
+ * Thrown when a cart action could not reach the server and was queued to be replayed.
+ */
+export class CartActionQueuedError extends Error {
+  /**
+   * @param {CartPendingAction['type']} type
+   */
+  constructor(type) {
+    super(`Cart action "${type}" was queued until the connection is back`);
+    this.name = 'CartActionQueuedError';
+  }
+}
+
+/**
+ * Checks if an error was caused by the request not reaching the server.
+ * @param {unknown} error - The error.
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  // `fetch` rejects with a TypeError when the network request fails
+  return error instanceof TypeError;
+}
+
+/**
+ * Reads the pending actions from storage.
+ * @returns {CartPendingAction[]}
+ */
+function readPendingActions() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_ACTIONS_STORAGE_KEY) || '[]');
+  } catch (_) {
+    return [];
+  }
+}
+
+/**
+ * Serializes form data so it can be stored.
+ * The `sections` field is left out since the replayed request renders no sections.
+ * @param {FormData} formData - The form data.
+ * @returns {[string, string][] | null} The entries, or null when the form contains files.
+ */
+function serializeFormData(formData) {
+  /** @type {[string, string][]} */
+  const entries = [];
+
+  for (const [name, value] of formData.entries()) {
+    if (typeof value !== 'string') return null;
+    if (name !== 'sections') entries.push([name, value]);
+  }
+
+  return entries;
+}
+
+/**
+ * Restores serialized form data.
+ * @param {[string, string][]} entries - The entries.
+ * @returns {FormData}
+ */
+function deserializeFormData(entries) {
+  const formData = new FormData();
+
+  for (const [name, value] of entries) {
+    formData.append(name, value);
+  }
+
+  return formData;
+}
+
+/**
+ * Applies line quantity changes to a cart.
+ * Cart level discounts are not recalculated, the server response takes care of that.
+ * @param {Cart} cart - The cart.
+ * @param {CartLineChange[]} changes - The changes, later changes win over earlier ones.
+ * @returns {Cart} A new cart with the changes applied.
+ */
+function applyLineChanges(cart, changes) {
+  if (!changes.length) return cart;
+
+  const quantities = new Map(changes.map(({ key, quantity }) => [key, quantity]));
+  let finalDelta = 0;
+  let originalDelta = 0;
+
+  const items = cart.items.flatMap((item) => {
+    const quantity = quantities.get(item.key);
+
+    if (quantity === undefined) return [item];
+
+    finalDelta += item.final_price * quantity - item.final_line_price;
+    originalDelta += item.original_price * quantity - item.original_line_price;
+
+    if (quantity === 0) return [];
+
+    return [
+      {
+        ...item,
+        quantity,
+        line_price: item.price * quantity,
+        original_line_price: item.original_price * quantity,
+        final_line_price: item.final_price * quantity,
+      },
+    ];
+  });
+
+  return {
+    ...cart,
+    items,
+    item_count: items.reduce((count, item) => count + item.quantity, 0),
+    items_subtotal_price: cart.items_subtotal_price + finalDelta,
+    original_total_price: cart.original_total_price + originalDelta,
+    total_price: Math.max(0, cart.total_price + finalDelta),
+  };
+}
+
+export const cartStore = new CartStore();
@@ -10,7 +10,6 @@ class CastleThemeFeatures {
 
   init() {
     this.initMegaMenu();
-    this.initQuickView();
     this.initNewsletterPopup();
     this.initProductBadges();
     this.initEnhancedProductCards();
@@ -71,160 +70,6 @@ class CastleThemeFeatures {
     }
   }
 
-  // Quick View Functionality
-  initQuickView() {
-    const quickViewButtons = document.querySelectorAll('[data-quick-view]');
-    const quickViewModal = document.querySelector('[data-quick-view-modal]');
-    const closeButtons = document.querySelectorAll('[data-quick-view-close]');
-    
-    if (!quickViewModal) return;
-    
-    quickViewButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        const productId = button.dataset.productId;
-        this.openQuickView(productId);
-      });
-    });
-    
-    closeButtons.forEach(button => {
-      button.addEventListener('click', () => {
-        this.closeQuickView();
-      });
-    });
-    
-    // Close on overlay click
-    quickViewModal.addEventListener('click', (e) => {
-      if (e.target === quickViewModal) {
-        this.closeQuickView();
-      }
-    });
-    
-    // Close on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.closeQuickView();
-      }
-    });
-  }
-
-  async openQuickView(productId) {
-    const modal = document.querySelector('[data-quick-view-modal]');
-    if (!modal) return;
-    
-    try {
-      // Show loading state
-      modal.classList.add('loading');
-      
-      // Fetch product data
-      const response = await fetch(`/products/${productId}.js`);
-      const product = await response.json();
-      
-      // Populate modal
-      this.populateQuickView(product);
-      
-      // Show modal
-      modal.classList.add('active');
-      document.body.style.overflow = 'hidden';
-      
-    } catch (error) {
-      console.error('Error loading product:', error);
-    } finally {
-      modal.classList.remove('loading');
-    }
-  }
-
-  populateQuickView(product) {
-    // Populate title
-    const title = document.querySelector('[data-quick-view-title]');
-    if (title) title.textContent = product.title;
-    
-    // Populate price
-    const price = document.querySelector('[data-quick-view-price]');
-    if (price) price.innerHTML = this.formatMoney(product.price);
-    
-    // Populate description
-    const description = document.querySelector('[data-quick-view-description]');
-    if (description) description.innerHTML = product.description;
-    
-    // Populate main image
-    const mainImage = document.querySelector('[data-quick-view-main-image]');
-    if (mainImage && product.images.length > 0) {
-      mainImage.src = product.images[0];
-      mainImage.alt = product.title;
-    }
-    
-    // Populate variants
-    this.populateQuickViewVariants(product);
-    
-    // Set up add to cart
-    this.setupQuickViewAddToCart(product);
-  }
-
-  populateQuickViewVariants(product) {
-    const variantsContainer = document.querySelector('[data-quick-view-variants]');
-    if (!variantsContainer || !product.variants) return;
-    
-    variantsContainer.innerHTML = '';
-    
-    product.variants.forEach(variant => {
-      const variantElement = document.createElement('div');
-      variantElement.className = 'variant-option';
-      variantElement.innerHTML = `
-        <input type="radio" name="variant" value="${variant.id}" id="variant-${variant.id}">
-        <label for="variant-${variant.id}">${variant.title}</label>
-      `;
-      variantsContainer.appendChild(variantElement);
-    });
-  }
-
-  setupQuickViewAddToCart(product) {
-    const addToCartButton = document.querySelector('[data-quick-view-add-to-cart]');
-    if (!addToCartButton) return;
-    
-    addToCartButton.addEventListener('click', async () => {
-      const variantId = document.querySelector('input[name="variant"]:checked')?.value || product.variants[0].id;
-      const quantity = document.querySelector('[data-quick-view-quantity]')?.value || 1;
-      
-      try {
-        addToCartButton.textContent = 'Adding...';
-        addToCartButton.disabled = true;
-        
-        const response = await fetch('/cart/add.js', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            items: [{
-              id: variantId,
-              quantity: parseInt(quantity)
-            }]
-          })
-        });
-        
-        if (response.ok) {
-          // Trigger cart update event
-          document.dispatchEvent(new CustomEvent('cart:updated'));
-          this.closeQuickView();
-        }
-      } catch (error) {
-        console.error('Error adding to cart:', error);
-      } finally {
-        addToCartButton.textContent = 'Add to Cart';
-        addToCartButton.disabled = false;
-      }
-    });
-  }
-
-  closeQuickView() {
-    const modal = document.querySelector('[data-quick-view-modal]');
-    if (modal) {
-      modal.classList.remove('active');
-      document.body.style.overflow = '';
-    }
-  }
-
   // Newsletter Popup Functionality
   initNewsletterPopup() {
     const popup = document.querySelector('[data-newsletter-popup]');
@@ -326,27 +171,9 @@ class CastleThemeFeatures {
       card.addEventListener('mouseleave', () => {
         card.classList.remove('hovered');
       });
-      
-      // Add quick view button if not already present
-      if (!card.querySelector('[data-quick-view]')) {
-        this.addQuickViewButton(card);
-      }
     });
   }
 
-  addQuickViewButton(card) {
-    const productId = card.dataset.productId;
-    if (!productId) return;
-    
-    const quickViewButton = document.createElement('button');
-    quickViewButton.className = 'product-card__quick-view';
-    quickViewButton.setAttribute('data-quick-view', '');
-    quickViewButton.setAttribute('data-product-id', productId);
-    quickViewButton.innerHTML = 'Quick View';
-    
-    card.appendChild(quickViewButton);
-  }
-
   // Sticky Header
   initStickyHeader() {
     const header = document.querySelector('.header');
@@ -451,14 +278,6 @@ class CastleThemeFeatures {
       element.innerHTML = `${days}d ${hours}h ${minutes}m ${seconds}s`;
     }, 1000);
   }
-
-  // Utility Functions
-  formatMoney(cents) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD'
-    }).format(cents / 100);
-  }
 }
 
 // Initialize when DOM is ready
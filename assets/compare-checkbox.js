@@ -0,0 +1,99 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { compareList, MAX_COMPARE_ITEMS } from '@theme/compare';
+
+/**
+ * A custom element that selects a product card for comparison.
+ *
+ * The checkbox is synced with the compare list whenever the list changes and after the card is re-rendered
+ * by a facet change, so it never shows the server-rendered state.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLInputElement} input - The checkbox.
+ * @property {HTMLElement} liveRegion - The live region announcing that the limit is reached.
+ *
+ * @extends {Component<Refs>}
+ */
+class CompareCheckbox extends Component {
+  requiredRefs = ['input', 'liveRegion'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#handleCompareUpdate);
+    this.render();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#handleCompareUpdate);
+  }
+
+  #handleCompareUpdate = () => {
+    this.render();
+  };
+
+  /**
+   * Adds the product to the comparison, or removes it.
+   */
+  toggle() {
+    const { input, liveRegion } = this.refs;
+    const {
+      productId = '',
+      productTitle = '',
+      productUrl = '',
+      productImage,
+      metafields,
+      limitTemplate = '',
+    } = this.dataset;
+
+    if (!input.checked) {
+      compareList.remove(productId);
+      return;
+    }
+
+    const added = compareList.add({
+      productId,
+      title: productTitle,
+      url: productUrl,
+      image: productImage || null,
+      metafields: parseMetafields(metafields),
+    });
+
+    if (!added) {
+      input.checked = false;
+      liveRegion.textContent = limitTemplate.replace('[limit]', String(MAX_COMPARE_ITEMS));
+    }
+  }
+
+  /**
+   * Renders whether the product is selected.
+   */
+  render() {
+    this.refs.input.checked = compareList.has(this.dataset.productId ?? '');
+  }
+}
+
+/**
+ * Parses the metafield values rendered on the card.
+ * @param {string | undefined} json - The JSON object of the metafield values, by label.
+ * @returns {Record<string, string>}
+ */
+function parseMetafields(json) {
+  try {
+    return JSON.parse(json || '{}');
+  } catch (_) {
+    return {};
+  }
+}
+
+if (!customElements.get('compare-checkbox')) {
+  customElements.define('compare-checkbox', CompareCheckbox);
+}
@@ -0,0 +1,303 @@
+import { DialogComponent } from '@theme/dialog';
+import { ThemeEvents } from '@theme/events';
+import { compareList, MAX_COMPARE_ITEMS } from '@theme/compare';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * The text shown in cells that have no value.
+ */
+const EMPTY_VALUE = '–';
+
+/**
+ * @typedef {object} Refs
+ * @property {HTMLDialogElement} dialog - The dialog showing the comparison table.
+ * @property {HTMLElement} bar - The bar pinned to the bottom of the page.
+ * @property {HTMLElement} list - The list the selected products are rendered into.
+ * @property {HTMLElement} count - The number of selected products.
+ * @property {HTMLButtonElement} compareButton - The button opening the comparison table.
+ * @property {HTMLElement} table - The wrapper the comparison table is rendered into.
+ * @property {HTMLTemplateElement} itemTemplate - The markup of a selected product in the bar.
+ */
+
+/**
+ * A custom element that shows the products selected for comparison in a bar pinned to the bottom of the page,
+ * and compares them side by side in a dialog.
+ *
+ * Prices, options and availability are fetched from `/products/<handle>.js` each time the table opens, so they
+ * are never stale. The metafield values are the ones rendered on the product card when it was selected.
+ *
+ * @extends {DialogComponent}
+ */
+class CompareTray extends DialogComponent {
+  requiredRefs = ['dialog', 'bar', 'list', 'count', 'compareButton', 'table', 'itemTemplate'];
+
+  /**
+   * An abort controller for the active table render (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeRender = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#handleCompareUpdate);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#handleCompareUpdate);
+    this.#activeRender?.abort();
+  }
+
+  #handleCompareUpdate = () => {
+    this.render();
+  };
+
+  /**
+   * The refs of the tray.
+   * @returns {Refs}
+   */
+  get #refs() {
+    return /** @type {Refs} */ (this.refs);
+  }
+
+  /**
+   * Renders the selected products in the bar, and updates the table while it is open.
+   */
+  render() {
+    const { bar, list, count, compareButton, dialog } = this.#refs;
+    const { items } = compareList;
+    const { countTemplate = '' } = this.dataset;
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const listItem = document.createElement('li');
+        listItem.append(this.#renderItem(item));
+        return listItem;
+      })
+    );
+    count.textContent = countTemplate
+      .replace('[count]', String(items.length))
+      .replace('[limit]', String(MAX_COMPARE_ITEMS));
+    compareButton.disabled = items.length < 2;
+    bar.classList.toggle('hidden', items.length === 0);
+
+    if (!dialog.open) return;
+
+    if (items.length < 2) {
+      this.closeDialog();
+    } else {
+      this.#renderTable();
+    }
+  }
+
+  /**
+   * Opens the comparison table.
+   */
+  compare() {
+    if (compareList.items.length < 2) return;
+
+    this.showDialog();
+    this.#renderTable();
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  removeItem(event) {
+    const productId = event.target.closest('[data-product-id]')?.getAttribute('data-product-id');
+
+    if (productId) compareList.remove(productId);
+  }
+
+  /**
+   * Removes every product from the comparison.
+   */
+  clear() {
+    compareList.clear();
+  }
+
+  /**
+   * Renders a selected product from the item template.
+   * @param {import('./compare').CompareItem} item - The selected product.
+   * @returns {HTMLElement}
+   */
+  #renderItem(item) {
+    const fragment = /** @type {DocumentFragment} */ (this.#refs.itemTemplate.content.cloneNode(true));
+    const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+    const { removeTemplate = '' } = this.dataset;
+
+    element.dataset.productId = item.productId;
+
+    const image = element.querySelector('img');
+    if (image && item.image) {
+      image.src = item.image;
+      image.alt = item.title;
+    } else {
+      image?.remove();
+    }
+
+    const title = element.querySelector('a');
+    if (title) {
+      title.href = item.url;
+      title.textContent = item.title;
+    }
+
+    element.querySelector('button')?.setAttribute('aria-label', removeTemplate.replace('[title]', item.title));
+
+    return element;
+  }
+
+  /**
+   * Fetches the selected products and renders the comparison table.
+   */
+  async #renderTable() {
+    const { table } = this.#refs;
+    const { items } = compareList;
+    const { errorText = '' } = this.dataset;
+
+    this.#activeRender?.abort();
+
+    const abortController = new AbortController();
+    this.#activeRender = abortController;
+
+    table.setAttribute('aria-busy', 'true');
+
+    try {
+      const products = await Promise.all(items.map((item) => fetchProduct(item.url, abortController.signal)));
+
+      if (abortController.signal.aborted) return;
+
+      table.replaceChildren(this.#createTable(items, products));
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      console.error('Compared products could not be loaded:', error);
+
+      const message = document.createElement('p');
+      message.className = 'compare-tray__error';
+      message.textContent = errorText;
+      table.replaceChildren(message);
+    }
+
+    table.setAttribute('aria-busy', 'false');
+    this.#activeRender = null;
+  }
+
+  /**
+   * Creates the comparison table, with a column per product and a row per attribute.
+   * @param {import('./compare').CompareItem[]} items - The selected products.
+   * @param {any[]} products - The products, as returned by `/products/<handle>.js`.
+   * @returns {HTMLTableElement}
+   */
+  #createTable(items, products) {
+    const {
+      priceLabel = '',
+      priceFromTemplate = '',
+      availabilityLabel = '',
+      availableText = '',
+      soldOutText = '',
+    } = this.dataset;
+
+    const optionNames = unique(products.flatMap((product) => getOptions(product).map((option) => option.name)));
+    const metafieldLabels = unique(items.flatMap((item) => Object.keys(item.metafields ?? {})));
+
+    /** @type {Array<{ label: string, values: string[] }>} */
+    const rows = [
+      {
+        label: priceLabel,
+        values: products.map((product) =>
+          product.price_varies
+            ? priceFromTemplate.replace('[price]', formatPrice(product.price_min))
+            : formatPrice(product.price)
+        ),
+      },
+      {
+        label: availabilityLabel,
+        values: products.map((product) => (product.available ? availableText : soldOutText)),
+      },
+      ...optionNames.map((name) => ({
+        label: name,
+        values: products.map((product) => {
+          const option = getOptions(product).find((option) => option.name === name);
+          return option ? option.values.join(', ') : EMPTY_VALUE;
+        }),
+      })),
+      ...metafieldLabels.map((label) => ({
+        label,
+        values: items.map((item) => item.metafields?.[label] || EMPTY_VALUE),
+      })),
+    ];
+
+    const tableElement = document.createElement('table');
+    tableElement.className = 'compare-tray__table';
+
+    const headRow = tableElement.createTHead().insertRow();
+    headRow.append(document.createElement('td'));
+
+    items.forEach((item, index) => {
+      const { title, url } = products[index];
+      const cell = document.createElement('th');
+      cell.scope = 'col';
+      cell.append(this.#renderItem({ ...item, title, url }));
+      headRow.append(cell);
+    });
+
+    const body = tableElement.createTBody();
+
+    for (const { label, values } of rows) {
+      const row = body.insertRow();
+      const heading = document.createElement('th');
+      heading.scope = 'row';
+      heading.textContent = label;
+      row.append(heading);
+
+      for (const value of values) {
+        row.insertCell().textContent = value;
+      }
+    }
+
+    return tableElement;
+  }
+}
+
+/**
+ * Fetches a product from the AJAX API.
+ * @param {string} url - The URL of the product.
+ * @param {AbortSignal} signal - The signal aborting the request.
+ * @returns {Promise<any>} The product.
+ */
+async function fetchProduct(url, signal) {
+  const response = await fetch(`${url}.js`, { signal, headers: { Accept: 'application/json' } });
+
+  if (!response.ok) throw new Error(`Product ${url} could not be loaded: ${response.status}`);
+
+  return response.json();
+}
+
+/**
+ * Gets the options of a product, leaving out the default option of products without variants.
+ * @param {any} product - The product, as returned by `/products/<handle>.js`.
+ * @returns {Array<{ name: string, values: string[] }>}
+ */
+function getOptions(product) {
+  if (product.has_only_default_variant) return [];
+
+  return product.options ?? [];
+}
+
+/**
+ * Removes duplicate values, keeping the first occurrence.
+ * @param {string[]} values - The values.
+ * @returns {string[]}
+ */
+function unique(values) {
+  return [...new Set(values)];
+}
+
+if (!customElements.get('compare-tray')) {
+  customElements.define('compare-tray', CompareTray);
+}
@@ -0,0 +1,116 @@
+import { CompareUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} CompareItem
+ * @property {string} productId - The ID of the product.
+ * @property {string} title - The title of the product.
+ * @property {string} url - The URL of the product, used to fetch `<url>.js`.
+ * @property {string | null} image - The image URL of the product.
+ * @property {Record<string, string>} metafields - The values of the compared metafields, by label.
+ */
+
+/**
+ * The maximum number of products that can be compared at once.
+ */
+export const MAX_COMPARE_ITEMS = 4;
+
+const STORAGE_KEY = 'compare-products';
+
+/**
+ * The products the shopper selected for comparison.
+ *
+ * The selection is kept in sessionStorage, so it survives facet changes, pagination and reloads, but not the
+ * end of the browsing session. Changes are announced with a `CompareUpdateEvent` on the document.
+ */
+class CompareList {
+  /**
+   * The selected products, in the order they were selected.
+   * @type {CompareItem[]}
+   */
+  #items = readItems();
+
+  /**
+   * The selected products, in the order they were selected.
+   * @returns {CompareItem[]}
+   */
+  get items() {
+    return this.#items;
+  }
+
+  /**
+   * Whether no more products can be selected.
+   * @returns {boolean}
+   */
+  get isFull() {
+    return this.#items.length >= MAX_COMPARE_ITEMS;
+  }
+
+  /**
+   * Whether a product is selected for comparison.
+   * @param {string} productId - The ID of the product.
+   * @returns {boolean}
+   */
+  has(productId) {
+    return this.#items.some((item) => item.productId === productId);
+  }
+
+  /**
+   * Selects a product for comparison.
+   * @param {CompareItem} item - The product to select.
+   * @returns {boolean} Whether the product is selected now.
+   */
+  add(item) {
+    if (this.has(item.productId)) return true;
+    if (this.isFull) return false;
+
+    this.#setItems([...this.#items, item]);
+    return true;
+  }
+
+  /**
+   * Removes a product from the comparison.
+   * @param {string} productId - The ID of the product.
+   */
+  remove(productId) {
+    if (!this.has(productId)) return;
+
+    this.#setItems(this.#items.filter((item) => item.productId !== productId));
+  }
+
+  /**
+   * Removes every product from the comparison.
+   */
+  clear() {
+    this.#setItems([]);
+  }
+
+  /**
+   * Stores the selection and announces the change.
+   * @param {CompareItem[]} items - The selected products.
+   */
+  #setItems(items) {
+    this.#items = items;
+
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (error) {
+      console.error('Compared products could not be stored:', error);
+    }
+
+    document.dispatchEvent(new CompareUpdateEvent(items));
+  }
+}
+
+/**
+ * Reads the selected products from sessionStorage.
+ * @returns {CompareItem[]}
+ */
+function readItems() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '[]').slice(0, MAX_COMPARE_ITEMS);
+  } catch (_) {
+    return [];
+  }
+}
+
+export const compareList = new CompareList();
@@ -1,24 +1,37 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { debounce, formatPrice, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
   CartUpdateEvent,
   QuantitySelectorUpdateEvent,
   CartAddEvent,
+  CartErrorEvent,
+  CartPendingActionsEvent,
+  CartStateChangeEvent,
   DiscountUpdateEvent,
+  SectionErrorEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart-store';
+import { savedForLater } from '@theme/saved-for-later';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
 
 /**
  * A custom element that displays a cart items component.
  *
+ * With the `optimistic` attribute, quantity changes and removals are rendered right away from the cart store
+ * and rolled back if the server rejects them.
+ *
  * @typedef {object} Refs
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {HTMLElement} [pendingActions] - The status of the cart actions waiting for a connection.
+ * @property {HTMLElement} [pendingActionsMessage] - The message of the pending actions status.
+ * @property {HTMLElement} [pendingActionsControls] - The retry and dismiss buttons of the pending actions status.
+ * @property {HTMLElement} [sectionError] - The retry state shown when the section couldn't be rendered.
  *
  * @extends {Component<Refs>}
  */
@@ -31,6 +44,14 @@ class CartItemsComponent extends Component {
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
     document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.cartPendingActions, this.#handlePendingActions);
+    document.addEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
+    document.addEventListener(ThemeEvents.sectionError, this.#handleSectionError);
+
+    sectionRenderer.invalidateOn(ThemeEvents.cartUpdate, [this.sectionId]);
+    this.#renderPendingActions();
+
+    if (this.optimistic) cartStore.load();
   }
 
   disconnectedCallback() {
@@ -38,6 +59,15 @@ class CartItemsComponent extends Component {
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
+    document.removeEventListener(ThemeEvents.cartPendingActions, this.#handlePendingActions);
+    document.removeEventListener(ThemeEvents.sectionError, this.#handleSectionError);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#renderPendingActions();
   }
 
   /**
@@ -58,6 +88,9 @@ class CartItemsComponent extends Component {
       quantity,
       action: 'change',
     });
+
+    if (this.optimistic) return;
+
     const lineItemRow = this.refs.cartItemRows[line - 1];
 
     if (!lineItemRow) return;
@@ -69,9 +102,10 @@ class CartItemsComponent extends Component {
   /**
    * Handles the line item removal.
    * @param {number} line - The line item index.
+   * @returns {Promise<boolean>} Whether the cart accepted the removal.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const removal = this.updateQuantity({
       line,
       quantity: 0,
       action: 'clear',
@@ -79,7 +113,7 @@ class CartItemsComponent extends Component {
 
     const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
 
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return removal;
 
     const rowsToRemove = [
       cartItemRowToRemove,
@@ -89,7 +123,8 @@ class CartItemsComponent extends Component {
 
     // Add class to the row to trigger the animation
     rowsToRemove.forEach((row) => {
-      const remove = () => row.remove();
+      // Optimistically removed rows stay in place, hidden, so line indexes keep matching until the next morph
+      const remove = () => (this.optimistic ? row.classList.add('hidden') : row.remove());
 
       if (prefersReducedMotion()) return remove();
 
@@ -99,6 +134,33 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return removal;
+  }
+
+  /**
+   * Moves a line item out of the cart into the saved for later list.
+   * The line is only saved once the cart accepted its removal.
+   * @param {number} line - The line item index.
+   */
+  async saveForLater(line) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+    if (!key) return;
+
+    // The cart store resolves with no cart when it couldn't be loaded
+    const cart = await cartStore.load();
+    const lineItem = cart?.items.find((item) => item.key === key);
+
+    if (!cart || !lineItem) {
+      const message = Theme.translations.cart_update_error || 'Error updating cart';
+      this.dispatchEvent(new CartErrorEvent(this.sectionId, message, '', {}));
+      this.#handleCartError(line, { errors: message });
+      return;
+    }
+
+    if (await this.onLineItemRemove(line)) {
+      savedForLater.save(lineItem, cart.currency);
+    }
   }
 
   /**
@@ -107,8 +169,13 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the cart accepted the change.
    */
   updateQuantity(config) {
+    if (this.optimistic) {
+      return this.#updateQuantityOptimistically(config);
+    }
+
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
 
     this.#disableCartItems();
@@ -116,65 +183,218 @@ class CartItemsComponent extends Component {
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
+    const body = {
       line: line,
       quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
+      sections: this.#sectionsToUpdate(),
       sections_url: window.location.pathname,
-    });
+    };
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
+    return cartStore
+      .change(body)
       .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
-
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
-          return;
+        if (response.errors) {
+          this.#handleCartError(line, response);
+          return false;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
+        this.dispatchEvent(
+          new CartUpdateEvent(cartStore.cart ?? {}, this.sectionId, {
+            itemCount: response.item_count,
+            source: 'cart-items-component',
+            sections: response.sections,
+          })
         );
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        morphSection(this.sectionId, response.sections[this.sectionId]);
+
+        return true;
+      })
+      .catch((error) => {
+        console.error(error);
+
+        return false;
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
+  }
+
+  /**
+   * Updates the quantity without waiting for the server.
+   * The cart store renders the change right away, and the rows are restored if the server rejects it.
+   * @param {Object} config - The config.
+   * @param {number} config.line - The line.
+   * @param {number} config.quantity - The quantity.
+   * @param {string} config.action - The action.
+   * @returns {Promise<boolean>} Whether the cart accepted the change.
+   */
+  #updateQuantityOptimistically(config) {
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
+
+    const { line, quantity } = config;
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    if (!key) throw new Error('Cart item key missing');
+
+    this.#hideCartError(line);
+
+    const body = {
+      id: key,
+      quantity: quantity,
+      sections: this.#sectionsToUpdate(),
+      sections_url: window.location.pathname,
+    };
+
+    return cartStore
+      .change(body, { optimistic: true })
+      .then(async (response) => {
+        if (response.errors) {
+          this.dispatchEvent(
+            new CartErrorEvent(this.sectionId, response.message, response.description, response.errors)
+          );
+
+          await this.#rollback(line, response);
+          return false;
+        }
 
         this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
+          new CartUpdateEvent(cartStore.cart ?? {}, this.sectionId, {
+            itemCount: response.item_count,
             source: 'cart-items-component',
-            sections: parsedResponseText.sections,
+            sections: response.sections,
           })
         );
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        // Later changes are still rendered optimistically, the last response brings the section up to date
+        if (!cartStore.hasPendingChanges) {
+          morphSection(this.sectionId, response.sections[this.sectionId]);
+        }
+
+        return true;
       })
-      .catch((error) => {
+      .catch(async (error) => {
         console.error(error);
+
+        await this.#rollback(line, { errors: Theme.translations.cart_update_error || 'Error updating cart' });
+        return false;
       })
       .finally(() => {
-        this.#enableCartItems();
         cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Restores the rows from the server after a rejected optimistic change and shows the error inline.
+   * @param {number} line - The line.
+   * @param {{ errors: string }} error - The error payload.
+   */
+  async #rollback(line, error) {
+    await this.#renderSection();
+
+    this.#handleCartError(line, error);
+  }
+
+  /**
+   * Re-renders the section when the cart changed in another tab, and renders the line and cart totals
+   * of an optimistic cart.
+   * @param {CartStateChangeEvent} event - The cart state change event.
+   */
+  #handleCartStateChange = (event) => {
+    const { cart, action } = event.detail;
+
+    if (action === 'sync') {
+      this.#renderSection();
+      return;
+    }
+
+    if (!this.optimistic || (action !== 'change' && action !== 'rollback')) return;
+
+    for (const row of this.refs.cartItemRows ?? []) {
+      const item = cart.items.find(({ key }) => key === row.dataset.key);
+      const price = /** @type {TextComponent | null} */ (row.querySelector('.cart-items__price text-component'));
+
+      if (!item || !price) continue;
+
+      this.#renderPrice(price, item.final_line_price, cart.currency);
+    }
+
+    if (this.refs.cartTotal) this.#renderPrice(this.refs.cartTotal, cart.total_price, cart.currency);
+  };
+
+  /**
+   * Renders a price into a text component.
+   * @param {TextComponent} textComponent - The text component.
+   * @param {number} cents - The price in cents.
+   * @param {string} currency - The ISO code of the currency.
+   */
+  #renderPrice(textComponent, cents, currency) {
+    const value = formatPrice(cents, currency);
+
+    textComponent.setAttribute('value', value);
+    textComponent.textContent = value;
+  }
+
+  /**
+   * Gets the sections of every cart items component on the page.
+   * @returns {string} The comma separated section ids.
+   */
+  #sectionsToUpdate() {
+    const sectionsToUpdate = new Set([this.sectionId]);
+
+    document.querySelectorAll('cart-items-component').forEach((item) => {
+      if (item instanceof HTMLElement && item.dataset.sectionId) {
+        sectionsToUpdate.add(item.dataset.sectionId);
+      }
+    });
+
+    return Array.from(sectionsToUpdate).join(',');
+  }
+
+  /**
+   * Retries the cart actions waiting for a connection.
+   */
+  retryPendingActions() {
+    cartStore.retryPendingActions();
+  }
+
+  /**
+   * Forgets the cart actions that could not be saved.
+   */
+  discardFailedActions() {
+    cartStore.discardFailedActions();
+  }
+
+  /**
+   * Handles changes to the cart actions waiting for a connection.
+   * @param {CartPendingActionsEvent} event - The event.
+   */
+  #handlePendingActions = (event) => {
+    this.#renderPendingActions(event.detail.actions);
+  };
+
+  /**
+   * Shows whether cart actions are waiting for a connection or could not be saved.
+   * @param {import('./cart-store').CartPendingAction[]} [actions] - The pending actions.
+   */
+  #renderPendingActions(actions = cartStore.pendingActions) {
+    const { pendingActions, pendingActionsMessage, pendingActionsControls } = this.refs;
+
+    if (!pendingActions || !pendingActionsMessage) return;
+
+    const hasFailed = actions.some((action) => action.status === 'failed');
+
+    pendingActions.classList.toggle('hidden', actions.length === 0);
+    pendingActionsControls?.classList.toggle('hidden', !hasFailed);
+    pendingActionsMessage.textContent =
+      (hasFailed ? Theme.translations.cart_actions_failed : Theme.translations.cart_actions_pending) ?? '';
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -207,6 +427,16 @@ class CartItemsComponent extends Component {
     cartItemErrorContainer.classList.remove('hidden');
   };
 
+  /**
+   * Hides the inline error of a line.
+   * @param {number} line - The line.
+   */
+  #hideCartError(line) {
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+
+    if (cartItemErrorContainer instanceof HTMLElement) cartItemErrorContainer.classList.add('hidden');
+  }
+
   /**
    * Handles the cart update.
    *
@@ -214,7 +444,7 @@ class CartItemsComponent extends Component {
    */
   #handleCartUpdate = (event) => {
     if (event instanceof DiscountUpdateEvent) {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      this.#renderSection();
       return;
     }
     if (event.target === this) return;
@@ -223,10 +453,41 @@ class CartItemsComponent extends Component {
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
     } else {
-      sectionRenderer.renderSection(this.sectionId, { cache: false });
+      this.#renderSection();
     }
   };
 
+  /**
+   * Renders the section again from the server. When it can't be rendered, the section renderer dispatches a
+   * `section:error` event and the rows are left as they are.
+   * @returns {Promise<void>}
+   */
+  async #renderSection() {
+    try {
+      await sectionRenderer.renderSection(this.sectionId, { cache: false });
+    } catch (_) {
+      // The retry state is shown by `#handleSectionError`
+    }
+  }
+
+  /**
+   * Shows the retry state when the section couldn't be rendered.
+   * @param {SectionErrorEvent} event - The section error event.
+   */
+  #handleSectionError = (event) => {
+    if (event.detail.sectionId !== this.sectionId) return;
+
+    this.refs.sectionError?.classList.remove('hidden');
+  };
+
+  /**
+   * Hides the retry state and renders the section again.
+   */
+  retry() {
+    this.refs.sectionError?.classList.add('hidden');
+    this.#renderSection();
+  }
+
   /**
    * Disables the cart items.
    */
@@ -241,6 +502,14 @@ class CartItemsComponent extends Component {
     this.classList.remove('cart-items-disabled');
   }
 
+  /**
+   * Whether quantity changes are rendered before the server confirms them.
+   * @returns {boolean}
+   */
+  get optimistic() {
+    return this.hasAttribute('optimistic');
+  }
+
   /**
    * Gets the section id.
    * @returns {string} The section id.
@@ -14,6 +14,24 @@ export class ThemeEvents {
   static cartUpdate = 'cart:update';
   /** @static @constant {string} Event triggered when a cart update fails */
   static cartError = 'cart:error';
+  /** @static @constant {string} Event triggered when the cart held by the cart store changes */
+  static cartStateChange = 'cart:state-change';
+  /** @static @constant {string} Event triggered when the cart actions waiting for a connection change */
+  static cartPendingActions = 'cart:pending-actions';
+  /** @static @constant {string} Event triggered when the saved for later list changes */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the wishlist */
+  static wishlistUpdate = 'wishlist:update';
+  /** @static @constant {string} Event triggered when a product is added to or removed from the comparison */
+  static compareUpdate = 'compare:update';
+  /** @static @constant {string} Event triggered when a filter preset is saved or deleted */
+  static filterPresetsUpdate = 'filter-presets:update';
+  /** @static @constant {string} Event triggered when an announcement is shown to the shopper */
+  static announcementImpression = 'announcement:impression';
+  /** @static @constant {string} Event triggered when a link of an announcement is clicked */
+  static announcementClick = 'announcement:click';
+  /** @static @constant {string} Event triggered when a section couldn't be rendered */
+  static sectionError = 'section:error';
   /** @static @constant {string} Event triggered when a media (video, 3d model) is loaded */
   static mediaStartedPlaying = 'media:started-playing';
   // Event triggered when quantity-selector value is changed
@@ -168,6 +186,167 @@ export class CartErrorEvent extends Event {
   }
 }
 
+/**
+ * Event class for cart store state changes
+ * @extends {Event}
+ */
+export class CartStateChangeEvent extends Event {
+  /**
+   * Creates a new CartStateChangeEvent
+   * @param {import('./cart-store').Cart} cart - The new cart object
+   * @param {import('./cart-store').Cart | null} previousCart - The cart object before the change
+   * @param {import('./cart-store').CartAction} action - The action that changed the cart
+   * @param {boolean} [optimistic] - Whether the cart includes changes the server has not confirmed yet
+   */
+  constructor(cart, previousCart, action, optimistic = false) {
+    super(ThemeEvents.cartStateChange);
+    this.detail = {
+      cart,
+      previousCart,
+      action,
+      optimistic,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the cart actions waiting for a connection
+ * @extends {Event}
+ */
+export class CartPendingActionsEvent extends Event {
+  /**
+   * Creates a new CartPendingActionsEvent
+   * @param {import('./cart-store').CartPendingAction[]} actions - The queued cart actions
+   */
+  constructor(actions) {
+    super(ThemeEvents.cartPendingActions);
+    this.detail = {
+      actions,
+      pending: actions.filter((action) => action.status === 'pending').length,
+      failed: actions.filter((action) => action.status === 'failed').length,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the saved for later list
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {import('./saved-for-later').SavedItem[]} items - The saved items
+   */
+  constructor(items) {
+    super(ThemeEvents.savedForLaterUpdate);
+    this.detail = {
+      items,
+    };
+  }
+}
+
+/**
+ * Event class for wishlist updates
+ * @extends {Event}
+ */
+export class WishlistUpdateEvent extends Event {
+  /**
+   * Creates a new WishlistUpdateEvent
+   * @param {import('./wishlist').WishlistItem[]} items - The wishlist items
+   * @param {Object} [data] - Additional event data
+   * @param {string} [data.productId] - The id of the product that was added or removed
+   * @param {string | null} [data.variantId] - The id of the variant that was added or removed
+   * @param {boolean} [data.added] - Whether the product was added
+   */
+  constructor(items, data) {
+    super(ThemeEvents.wishlistUpdate);
+    this.detail = {
+      items,
+      count: items.length,
+      data: {
+        ...data,
+      },
+    };
+  }
+}
+
+/**
+ * Event class for changes to the products selected for comparison
+ * @extends {Event}
+ */
+export class CompareUpdateEvent extends Event {
+  /**
+   * Creates a new CompareUpdateEvent
+   * @param {import('./compare').CompareItem[]} items - The products selected for comparison
+   */
+  constructor(items) {
+    super(ThemeEvents.compareUpdate);
+    this.detail = {
+      items,
+      count: items.length,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the saved filter presets of a collection
+ * @extends {Event}
+ */
+export class FilterPresetsUpdateEvent extends Event {
+  /**
+   * Creates a new FilterPresetsUpdateEvent
+   * @param {string} collection - The handle of the collection
+   * @param {import('./filter-presets').FilterPreset[]} presets - The presets saved for the collection
+   */
+  constructor(collection, presets) {
+    super(ThemeEvents.filterPresetsUpdate);
+    this.detail = {
+      collection,
+      presets,
+    };
+  }
+}
+
+/**
+ * Event class for announcements shown to the shopper
+ * @extends {Event}
+ */
+export class AnnouncementImpressionEvent extends Event {
+  /**
+   * Creates a new AnnouncementImpressionEvent
+   * @param {string} id - The ID of the announcement block
+   * @param {number} position - The position of the announcement in the bar, starting at 1
+   */
+  constructor(id, position) {
+    super(ThemeEvents.announcementImpression, { bubbles: true });
+    this.detail = {
+      id,
+      position,
+    };
+  }
+}
+
+/**
+ * Event class for clicks on the links of announcements
+ * @extends {Event}
+ */
+export class AnnouncementClickEvent extends Event {
+  /**
+   * Creates a new AnnouncementClickEvent
+   * @param {string} id - The ID of the announcement block
+   * @param {number} position - The position of the announcement in the bar, starting at 1
+   * @param {string} url - The URL of the link
+   */
+  constructor(id, position, url) {
+    super(ThemeEvents.announcementClick, { bubbles: true });
+    this.detail = {
+      id,
+      position,
+      url,
+    };
+  }
+}
+
 /**
  * Event class for quantity-selector updates
  * @extends {Event}
@@ -206,6 +385,27 @@ export class DiscountUpdateEvent extends Event {
   }
 }
 
+/**
+ * Event class for section rendering failures
+ * @extends {Event}
+ */
+export class SectionErrorEvent extends Event {
+  /**
+   * Creates a new SectionErrorEvent
+   * @param {string} sectionId - The ID of the section that couldn't be rendered
+   * @param {unknown} error - The error, usually a `SectionRenderingError`
+   * @param {() => void} retry - Renders the section again
+   */
+  constructor(sectionId, error, retry) {
+    super(ThemeEvents.sectionError, { bubbles: true });
+    this.detail = {
+      sectionId,
+      error,
+      retry,
+    };
+  }
+}
+
 /**
  * Event class for media playback starts
  * @extends {Event}
@@ -0,0 +1,384 @@
+/**
+ * The search query parameter.
+ */
+const SEARCH_QUERY = 'q';
+
+/**
+ * The sorting parameter.
+ */
+const SORT_BY = 'sort_by';
+
+/**
+ * The pagination parameter, which is never part of a facet state.
+ */
+const PAGE = 'page';
+
+/**
+ * The prefix of the filter parameters.
+ */
+const FILTER_PREFIX = 'filter.';
+
+/**
+ * The bounds of range filters, like `filter.v.price.gte` and `filter.v.price.lte`.
+ * @type {Array<keyof FacetRange>}
+ */
+const RANGE_BOUNDS = ['gte', 'lte'];
+
+/**
+ * @typedef {Object} FacetRange
+ * @property {string} [gte] - The lower bound of the range.
+ * @property {string} [lte] - The upper bound of the range.
+ */
+
+/**
+ * The filters, sorting and search query applied to a collection or search page.
+ *
+ * States are immutable: the `with` and `toggle` methods return a new state. Empty values and the page are left
+ * out, and values are serialized in a canonical order, so the same combination always gives the same URL
+ * (and section cache entry), whatever order the shopper picked it in.
+ */
+export class FacetState {
+  /**
+   * The values of the list filters, by parameter name.
+   * @type {Map<string, string[]>}
+   */
+  #filters = new Map();
+
+  /**
+   * The range filters, by parameter name without the bound.
+   * @type {Map<string, FacetRange>}
+   */
+  #ranges = new Map();
+
+  /**
+   * The sort order.
+   * @type {string}
+   */
+  #sortBy = '';
+
+  /**
+   * The search query.
+   * @type {string}
+   */
+  #query = '';
+
+  /**
+   * The other parameters, kept as they are.
+   * @type {Array<[string, string]>}
+   */
+  #params = [];
+
+  /**
+   * Creates a state from the inputs of a facets form.
+   * @param {FormData} formData - The form data.
+   * @returns {FacetState}
+   */
+  static fromFormData(formData) {
+    const state = new FacetState();
+
+    for (const [name, value] of formData.entries()) {
+      if (typeof value === 'string') state.#add(name, value);
+    }
+
+    return state;
+  }
+
+  /**
+   * Creates a state from URL parameters.
+   * @param {URLSearchParams | string} searchParams - The URL parameters.
+   * @returns {FacetState}
+   */
+  static fromSearchParams(searchParams) {
+    const state = new FacetState();
+
+    for (const [name, value] of new URLSearchParams(searchParams)) {
+      state.#add(name, value);
+    }
+
+    return state;
+  }
+
+  /**
+   * Creates a state from the current URL.
+   * @returns {FacetState}
+   */
+  static fromLocation() {
+    return FacetState.fromSearchParams(window.location.search);
+  }
+
+  /**
+   * The sort order, or an empty string for the default one.
+   * @returns {string}
+   */
+  get sortBy() {
+    return this.#sortBy;
+  }
+
+  /**
+   * The search query, or an empty string outside of search.
+   * @returns {string}
+   */
+  get query() {
+    return this.#query;
+  }
+
+  /**
+   * The parameter names of the applied list filters.
+   * @returns {string[]}
+   */
+  get filterNames() {
+    return [...this.#filters.keys()];
+  }
+
+  /**
+   * The parameter names of the applied range filters, without the bound.
+   * @returns {string[]}
+   */
+  get rangeNames() {
+    return [...this.#ranges.keys()];
+  }
+
+  /**
+   * Whether any filter is applied.
+   * @returns {boolean}
+   */
+  get hasFilters() {
+    return this.#filters.size > 0 || this.#ranges.size > 0;
+  }
+
+  /**
+   * Gets the applied values of a list filter.
+   * @param {string} name - The parameter name of the filter.
+   * @returns {string[]}
+   */
+  getValues(name) {
+    return [...(this.#filters.get(name) ?? [])];
+  }
+
+  /**
+   * Gets a range filter.
+   * @param {string} name - The parameter name of the filter, without the bound.
+   * @returns {FacetRange}
+   */
+  getRange(name) {
+    return { ...this.#ranges.get(name) };
+  }
+
+  /**
+   * Whether a value of a list filter is applied.
+   * @param {string} name - The parameter name of the filter.
+   * @param {string} value - The value.
+   * @returns {boolean}
+   */
+  has(name, value) {
+    return this.#filters.get(name)?.includes(value) ?? false;
+  }
+
+  /**
+   * Applies a value of a list filter if it isn't applied, and removes it otherwise.
+   * @param {string} name - The parameter name of the filter.
+   * @param {string} value - The value.
+   * @returns {FacetState}
+   */
+  toggle(name, value) {
+    const values = this.getValues(name);
+
+    return this.withValues(name, this.has(name, value) ? values.filter((v) => v !== value) : [...values, value]);
+  }
+
+  /**
+   * Replaces the values of a list filter.
+   * @param {string} name - The parameter name of the filter.
+   * @param {string[]} values - The values, none to remove the filter.
+   * @returns {FacetState}
+   */
+  withValues(name, values) {
+    const state = this.#clone();
+
+    state.#filters.delete(name);
+    for (const value of values) state.#add(name, value);
+
+    return state;
+  }
+
+  /**
+   * Replaces a range filter.
+   * @param {string} name - The parameter name of the filter, without the bound.
+   * @param {FacetRange} range - The range, with no bounds to remove the filter.
+   * @returns {FacetState}
+   */
+  withRange(name, range) {
+    const state = this.#clone();
+
+    state.#ranges.delete(name);
+    for (const bound of RANGE_BOUNDS) state.#add(`${name}.${bound}`, range[bound] ?? '');
+
+    return state;
+  }
+
+  /**
+   * Replaces the sort order.
+   * @param {string} sortBy - The sort order.
+   * @returns {FacetState}
+   */
+  withSortBy(sortBy) {
+    const state = this.#clone();
+    state.#sortBy = sortBy;
+    return state;
+  }
+
+  /**
+   * Replaces the search query.
+   * @param {string} query - The search query.
+   * @returns {FacetState}
+   */
+  withQuery(query) {
+    const state = this.#clone();
+    state.#query = query;
+    return state;
+  }
+
+  /**
+   * Removes every filter, keeping the sort order, the search query and the other parameters.
+   * @returns {FacetState}
+   */
+  withoutFilters() {
+    const state = this.#clone();
+    state.#filters.clear();
+    state.#ranges.clear();
+    return state;
+  }
+
+  /**
+   * Gets the parameter names of the list and range filters that differ from another state.
+   * @param {FacetState} other - The state to compare with.
+   * @returns {string[]}
+   */
+  changedFilters(other) {
+    const names = new Set([...this.#filters.keys(), ...other.#filters.keys()]);
+    const rangeNames = new Set([...this.#ranges.keys(), ...other.#ranges.keys()]);
+
+    return [
+      ...[...names].filter((name) => sorted(this.getValues(name)).join() !== sorted(other.getValues(name)).join()),
+      ...[...rangeNames].filter((name) =>
+        RANGE_BOUNDS.some((bound) => this.#ranges.get(name)?.[bound] !== other.#ranges.get(name)?.[bound])
+      ),
+    ];
+  }
+
+  /**
+   * Whether another state applies the same filters, sorting and search query.
+   * @param {FacetState} other - The state to compare with.
+   * @returns {boolean}
+   */
+  equals(other) {
+    return this.toString() === other.toString();
+  }
+
+  /**
+   * Serializes the state to URL parameters, in a canonical order.
+   * @returns {URLSearchParams}
+   */
+  toSearchParams() {
+    const searchParams = new URLSearchParams();
+
+    for (const name of sorted(this.#filters.keys())) {
+      for (const value of sorted(this.#filters.get(name) ?? [])) searchParams.append(name, value);
+    }
+
+    for (const name of sorted(this.#ranges.keys())) {
+      const range = this.#ranges.get(name) ?? {};
+
+      for (const bound of RANGE_BOUNDS) {
+        const value = range[bound];
+        if (value) searchParams.append(`${name}.${bound}`, value);
+      }
+    }
+
+    for (const [name, value] of this.#params) searchParams.append(name, value);
+
+    if (this.#sortBy) searchParams.set(SORT_BY, this.#sortBy);
+    if (this.#query) searchParams.set(SEARCH_QUERY, this.#query);
+
+    return searchParams;
+  }
+
+  /**
+   * Creates the URL of the page with the state applied.
+   * @param {string} [pathname] - The path of the page, the current one by default.
+   * @returns {URL}
+   */
+  toURL(pathname = window.location.pathname) {
+    const url = new URL(pathname, window.location.origin);
+    url.search = this.toSearchParams().toString();
+    return url;
+  }
+
+  /**
+   * Serializes the state to a query string, which identifies the combination.
+   * @returns {string}
+   */
+  toString() {
+    return this.toSearchParams().toString();
+  }
+
+  /**
+   * Adds a parameter to the state.
+   * @param {string} name - The parameter name.
+   * @param {string} value - The value.
+   */
+  #add(name, value) {
+    if (value === '' || name === PAGE) return;
+
+    if (name === SORT_BY) {
+      this.#sortBy = value;
+    } else if (name === SEARCH_QUERY) {
+      this.#query = value;
+    } else if (name.startsWith(FILTER_PREFIX) && isRangeBound(name)) {
+      const separatorIndex = name.lastIndexOf('.');
+      const rangeName = name.slice(0, separatorIndex);
+      const bound = /** @type {keyof FacetRange} */ (name.slice(separatorIndex + 1));
+
+      this.#ranges.set(rangeName, { ...this.#ranges.get(rangeName), [bound]: value });
+    } else if (name.startsWith(FILTER_PREFIX)) {
+      const values = this.#filters.get(name) ?? [];
+      if (!values.includes(value)) this.#filters.set(name, [...values, value]);
+    } else {
+      this.#params.push([name, value]);
+    }
+  }
+
+  /**
+   * Copies the state.
+   * @returns {FacetState}
+   */
+  #clone() {
+    const state = new FacetState();
+
+    state.#filters = new Map(this.#filters);
+    state.#ranges = new Map(this.#ranges);
+    state.#sortBy = this.#sortBy;
+    state.#query = this.#query;
+    state.#params = [...this.#params];
+
+    return state;
+  }
+}
+
+/**
+ * Whether a parameter is the bound of a range filter.
+ * @param {string} name - The parameter name.
+ * @returns {boolean}
+ */
+function isRangeBound(name) {
+  return RANGE_BOUNDS.some((bound) => name.endsWith(`.${bound}`));
+}
+
+/**
+ * Sorts values into a new array.
+ * @param {Iterable<string>} values - The values.
+ * @returns {string[]}
+ */
+function sorted(values) {
+  return [...values].sort();
+}
@@ -1,7 +1,21 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
+import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { FacetState } from '@theme/facet-state';
+import { filterPresets } from '@theme/filter-presets';
+import { getHistorySnapshot, pushHistoryState, replaceHistoryState, restoreHistorySnapshot } from '@theme/history';
+import PaginatedList from '@theme/paginated-list';
+import {
+  clamp,
+  debounce,
+  formatAmount,
+  formatPrice,
+  normalizeString,
+  parseAmount,
+  requestIdleCallback,
+  startViewTransition,
+} from '@theme/utilities';
 
 /**
  * Search query parameter.
@@ -9,9 +23,42 @@ import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
  */
 const SEARCH_QUERY = 'q';
 
+/**
+ * Sorting parameter.
+ * @type {string}
+ */
+const SORT_BY = 'sort_by';
+
+/**
+ * How long to wait for further filter changes before fetching the results, in milliseconds.
+ * @type {number}
+ */
+const UPDATE_DELAY = 300;
+
+/**
+ * The maximum number of filter combinations prefetched once the results are updated.
+ * @type {number}
+ */
+const MAX_PREFETCHED_STATES = 3;
+
+/**
+ * The facet state applied to each section. The URL reflects it, even while its results are loading.
+ * @type {Map<string, FacetState>}
+ */
+const appliedStates = new Map();
+
+/**
+ * The facet state each section rendered before the changes that are waiting to be rendered.
+ * @type {Map<string, FacetState>}
+ */
+const pendingStates = new Map();
+
 /**
  * Handles the main facets form functionality
  *
+ * Filter changes are applied to a `FacetState`. The URL and the filter UI update right away, while rapid changes
+ * are coalesced into a single section render, which is instant when the combination is already cached.
+ *
  * @typedef {Object} FacetsFormRefs
  * @property {HTMLFormElement} facetsForm - The main facets form element
  * @property {HTMLElement | undefined} facetStatus - The facet status element
@@ -22,22 +69,51 @@ class FacetsFormComponent extends Component {
   requiredRefs = ['facetsForm'];
 
   /**
-   * Creates URL parameters from form data
-   * @param {FormData} [formData] - Optional form data to use instead of the main form
-   * @returns {URLSearchParams} The processed URL parameters
+   * The dialog the form is staged in, which discards the staged filters when it closes
+   * @type {DialogComponent | null}
    */
-  createURLParameters(formData = new FormData(this.refs.facetsForm)) {
-    let newParameters = new URLSearchParams(/** @type any */ (formData));
+  #dialog = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+    window.addEventListener('popstate', this.#handlePopState);
+
+    const dialog = this.closest('dialog-component');
 
-    if (newParameters.get('filter.v.price.gte') === '') newParameters.delete('filter.v.price.gte');
-    if (newParameters.get('filter.v.price.lte') === '') newParameters.delete('filter.v.price.lte');
+    if (this.isStaged && dialog instanceof DialogComponent) {
+      this.#dialog = dialog;
+      dialog.addEventListener(DialogCloseEvent.eventName, this.#discardStagedState);
+    }
+  }
 
-    newParameters.delete('page');
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    window.removeEventListener('popstate', this.#handlePopState);
+    this.#dialog?.removeEventListener(DialogCloseEvent.eventName, this.#discardStagedState);
+    this.#dialog = null;
+    this.#debouncedUpdateSection.cancel();
+    this.#debouncedUpdateCounts.cancel();
+  }
 
+  /**
+   * Creates the facet state from form data
+   * @param {FormData} [formData] - Optional form data to use instead of the main form
+   * @returns {FacetState} The facet state
+   */
+  createState(formData = new FormData(this.refs.facetsForm)) {
+    const state = FacetState.fromFormData(formData);
     const searchQuery = this.#getSearchQuery();
-    if (searchQuery) newParameters.set(SEARCH_QUERY, searchQuery);
 
-    return newParameters;
+    return searchQuery ? state.withQuery(searchQuery) : state;
+  }
+
+  /**
+   * Creates URL parameters from form data
+   * @param {FormData} [formData] - Optional form data to use instead of the main form
+   * @returns {URLSearchParams} The processed URL parameters
+   */
+  createURLParameters(formData = new FormData(this.refs.facetsForm)) {
+    return this.createState(formData).toSearchParams();
   }
 
   /**
@@ -56,51 +132,337 @@ class FacetsFormComponent extends Component {
   }
 
   /**
-   * Updates the URL hash with current filter parameters
+   * The facet state applied to the section
+   * @returns {FacetState}
    */
-  #updateURLHash() {
-    const url = new URL(window.location.href);
-    const urlParameters = this.createURLParameters();
+  get appliedState() {
+    return appliedStates.get(this.sectionId) ?? FacetState.fromLocation();
+  }
 
-    url.search = '';
-    for (const [param, value] of urlParameters.entries()) {
-      url.searchParams.append(param, value);
+  /**
+   * Whether filter changes are staged until the shopper applies them, like in the filters drawer
+   * @returns {boolean}
+   */
+  get isStaged() {
+    return this.hasAttribute('staged');
+  }
+
+  /**
+   * Updates filters and renders the section. Staged forms only update the counts of their values.
+   */
+  updateFilters = () => {
+    const state = this.createState();
+
+    if (this.isStaged) {
+      this.#stageState(state);
+    } else {
+      this.#applyState(state);
     }
+  };
 
-    history.pushState({ urlParameters: urlParameters.toString() }, '', url.toString());
+  /**
+   * Applies the staged filters and closes the drawer
+   */
+  applyStagedFilters() {
+    this.#debouncedUpdateCounts.cancel();
+    this.#applyState(this.createState());
+    this.#dialog?.closeDialog();
   }
 
   /**
-   * Updates filters and renders the section
+   * Updates filters based on a provided URL
+   * @param {string} url - The URL to update filters with
    */
-  updateFilters = () => {
-    this.#updateURLHash();
-    this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
-    this.#updateSection();
+  updateFiltersByURL(url) {
+    this.#applyState(FacetState.fromSearchParams(new URL(url, window.location.origin).searchParams));
+  }
+
+  /**
+   * Keeps the filter values and the sort order of a facet state that the form offers, dropping the others
+   * @param {FacetState} state - The facet state
+   * @returns {FacetState} The facet state with the available values only
+   */
+  getAvailableState(state) {
+    const controls = Array.from(this.refs.facetsForm.elements);
+    // Long list filters render their values from JSON, so most of them aren't controls
+    const searchLists = Array.from(this.querySelectorAll('facet-search-component'));
+
+    /**
+     * @param {string} name - The parameter name
+     * @param {string} [value] - The value, any by default
+     * @returns {boolean} Whether the form has a control for the value
+     */
+    const isAvailable = (name, value) =>
+      controls.some((control) => {
+        if (control instanceof HTMLSelectElement) {
+          return control.name === name && Array.from(control.options).some((option) => option.value === value);
+        }
+
+        return control instanceof HTMLInputElement && control.name === name && (!value || control.value === value);
+      }) ||
+      searchLists.some(
+        (list) => list instanceof FacetSearchComponent && list.paramName === name && !!value && list.hasValue(value)
+      );
+
+    let availableState = new FacetState();
+
+    for (const name of state.filterNames) {
+      const values = state.getValues(name).filter((value) => isAvailable(name, value));
+      availableState = availableState.withValues(name, values);
+    }
+
+    for (const name of state.rangeNames) {
+      if (isAvailable(`${name}.gte`) || isAvailable(`${name}.lte`)) {
+        availableState = availableState.withRange(name, state.getRange(name));
+      }
+    }
+
+    if (state.sortBy && isAvailable(SORT_BY, state.sortBy)) {
+      availableState = availableState.withSortBy(state.sortBy);
+    }
+
+    return availableState;
+  }
+
+  /**
+   * Applies a facet state to the URL and the filter UI, and renders the section once the changes settle
+   * @param {FacetState} state - The facet state
+   */
+  #applyState(state) {
+    const { sectionId } = this;
+    const previousState = this.appliedState;
+
+    if (state.equals(previousState)) return;
+
+    appliedStates.set(sectionId, state);
+    this.#updateURL(state);
+    this.dispatchEvent(new FilterUpdateEvent(state.toSearchParams()));
+
+    if (sectionRenderer.isCached(sectionId)) {
+      this.#debouncedUpdateSection.cancel();
+      this.#updateSection();
+    } else {
+      this.#debouncedUpdateSection();
+    }
+  }
+
+  /**
+   * Shows the counts of a staged facet state, without rendering the results
+   * @param {FacetState} state - The staged facet state
+   */
+  #stageState(state) {
+    if (sectionRenderer.isCached(this.sectionId, state.toURL())) {
+      this.#debouncedUpdateCounts.cancel();
+      this.#updateCounts(state);
+    } else {
+      this.#debouncedUpdateCounts(state);
+    }
+  }
+
+  /**
+   * Updates the counts once the staged filters stop changing
+   */
+  #debouncedUpdateCounts = debounce(
+    /** @param {FacetState} state - The staged facet state */ (state) => this.#updateCounts(state),
+    UPDATE_DELAY
+  );
+
+  /**
+   * Copies the value counts, the unavailable values and the results count of a facet state from its section
+   * HTML, which is cached so applying the state renders it right away
+   * @param {FacetState} state - The staged facet state
+   */
+  async #updateCounts(state) {
+    let html;
+
+    try {
+      html = await sectionRenderer.getSectionHTML(this.sectionId, true, state.toURL());
+    } catch (_) {
+      // The counts are left as they are, the results are only rendered when the staged filters are applied
+      return;
+    }
+
+    // The filters changed again while the counts loaded
+    if (!state.equals(this.createState())) return;
+
+    const stagedDocument = new DOMParser().parseFromString(html, 'text/html');
+    const stagedForm = stagedDocument.getElementById(this.id);
+    if (!stagedForm) return;
+
+    for (const count of this.querySelectorAll('[data-facet-count]')) {
+      if (!(count instanceof HTMLElement) || !count.dataset.facetCount) continue;
+
+      const stagedCount = stagedForm.querySelector(`[data-facet-count="${CSS.escape(count.dataset.facetCount)}"]`);
+      if (stagedCount) count.textContent = stagedCount.textContent;
+    }
+
+    for (const input of this.refs.facetsForm.elements) {
+      if (!(input instanceof HTMLInputElement) || input.type !== 'checkbox' || !input.id) continue;
+
+      const stagedInput = stagedForm.querySelector(`#${CSS.escape(input.id)}`);
+      if (stagedInput instanceof HTMLInputElement) input.disabled = stagedInput.disabled;
+    }
+
+    for (const list of this.querySelectorAll('facet-search-component')) {
+      if (!(list instanceof FacetSearchComponent)) continue;
+
+      const stagedValues = stagedForm.querySelector(
+        `facet-search-component[data-param-name="${CSS.escape(list.paramName)}"] script[type="application/json"]`
+      );
+      if (stagedValues?.textContent) list.updateCounts(stagedValues.textContent);
+    }
+
+    const applyButton = document.getElementById(`${this.id}-apply`);
+    const stagedApplyButton = stagedDocument.getElementById(`${this.id}-apply`);
+
+    if (applyButton instanceof HTMLButtonElement && stagedApplyButton instanceof HTMLButtonElement) {
+      applyButton.textContent = stagedApplyButton.textContent;
+      applyButton.disabled = stagedApplyButton.disabled;
+    }
+  }
+
+  /**
+   * Renders the applied filters again when the drawer closes without applying the staged ones
+   */
+  #discardStagedState = () => {
+    this.#debouncedUpdateCounts.cancel();
+
+    if (this.createState().equals(this.appliedState)) return;
+
+    sectionRenderer.renderSection(this.sectionId).catch(() => {
+      // The section renderer dispatches a `section:error` event, which the results list shows a retry state for
+    });
   };
 
   /**
-   * Updates the section
+   * Updates the URL with a facet state. Changes waiting to be rendered share a single history entry.
+   * @param {FacetState} state - The facet state
+   */
+  #updateURL(state) {
+    const { sectionId } = this;
+    const url = state.toURL();
+    const historyState = { urlParameters: state.toString() };
+
+    if (pendingStates.has(sectionId)) {
+      replaceHistoryState(url, historyState);
+    } else {
+      pendingStates.set(sectionId, this.appliedState);
+      pushHistoryState(url, historyState);
+    }
+  }
+
+  /**
+   * Renders the section once the filters stop changing
+   */
+  #debouncedUpdateSection = debounce(() => this.#updateSection(), UPDATE_DELAY);
+
+  /**
+   * Renders the section for the applied facet state, then prefetches the likely next combinations
+   */
+  async #updateSection() {
+    const { sectionId } = this;
+    const state = this.appliedState;
+    const previousState = pendingStates.get(sectionId) ?? state;
+
+    pendingStates.delete(sectionId);
+
+    const rendered = await this.#renderSection();
+
+    if (!rendered || !state.equals(this.appliedState)) return;
+
+    requestIdleCallback(() => this.#prefetchStates(previousState, state));
+  }
+
+  /**
+   * Renders the section for the current URL
+   * @returns {Promise<boolean>} Whether the section was rendered
    */
-  #updateSection() {
+  async #renderSection() {
     const viewTransition = !this.closest('dialog');
+    let rendered = false;
+
+    const render = async () => {
+      try {
+        await sectionRenderer.renderSection(this.sectionId);
+        rendered = true;
+      } catch (_) {
+        // The section renderer dispatches a `section:error` event, which the results list shows a retry state for
+      }
+    };
 
     if (viewTransition) {
-      startViewTransition(() => sectionRenderer.renderSection(this.sectionId), ['product-grid']);
+      await startViewTransition(render, ['product-grid']);
     } else {
-      sectionRenderer.renderSection(this.sectionId);
+      await render();
     }
+
+    return rendered;
   }
 
   /**
-   * Updates filters based on a provided URL
-   * @param {string} url - The URL to update filters with
+   * Prefetches the combinations that add another value of the filter that just changed
+   * @param {FacetState} previousState - The facet state before the change
+   * @param {FacetState} state - The facet state after the change
    */
-  updateFiltersByURL(url) {
-    history.pushState('', '', url);
-    this.dispatchEvent(new FilterUpdateEvent(this.createURLParameters()));
-    this.#updateSection();
+  #prefetchStates(previousState, state) {
+    const [name] = state.changedFilters(previousState);
+    if (!name) return;
+
+    const values = Array.from(this.refs.facetsForm.elements)
+      .filter(
+        (element) =>
+          element instanceof HTMLInputElement &&
+          element.type === 'checkbox' &&
+          element.name === name &&
+          !element.checked &&
+          !element.disabled
+      )
+      .map((element) => /** @type {HTMLInputElement} */ (element).value);
+
+    // The rows of searchable lists only render the values in view, and their inputs have no name
+    for (const facetSearch of this.querySelectorAll('facet-search-component')) {
+      if (facetSearch instanceof FacetSearchComponent && facetSearch.paramName === name) {
+        values.push(...facetSearch.unappliedValues);
+      }
+    }
+
+    for (const value of values.slice(0, MAX_PREFETCHED_STATES)) {
+      sectionRenderer.getSectionHTML(this.sectionId, true, state.toggle(name, value).toURL()).catch(() => {
+        // Prefetching is best effort, the combination is fetched again if it is applied
+      });
+    }
   }
+
+  /**
+   * Restores the facet state of the history entry, along with the pages loaded by infinite scroll, the scroll
+   * position and the focus. Only the first facets form of the section handles it.
+   */
+  #handlePopState = async () => {
+    const { sectionId } = this;
+
+    if (document.querySelector(`facets-form-component[section-id="${sectionId}"]`) !== this) return;
+
+    const state = FacetState.fromLocation();
+
+    // Moving between the pages of infinite scroll keeps the loaded results as they are
+    if (state.equals(this.appliedState)) return;
+
+    const snapshot = getHistorySnapshot();
+
+    appliedStates.set(sectionId, state);
+    pendingStates.delete(sectionId);
+    this.#debouncedUpdateSection.cancel();
+
+    this.dispatchEvent(new FilterUpdateEvent(state.toSearchParams()));
+    await this.#renderSection();
+
+    if (!state.equals(this.appliedState)) return;
+
+    const paginatedList = this.closest('.shopify-section')?.querySelector('results-list');
+    if (snapshot.pages && paginatedList instanceof PaginatedList) await paginatedList.restorePages(snapshot.pages);
+
+    restoreHistorySnapshot(snapshot);
+  };
 }
 
 if (!customElements.get('facets-form-component')) {
@@ -112,118 +474,641 @@ if (!customElements.get('facets-form-component')) {
  * @property {HTMLInputElement[]} facetInputs - The facet input elements
  */
 
-/**
- * Handles individual facet input functionality
- * @extends {Component<FacetInputsRefs>}
- */
-class FacetInputsComponent extends Component {
-  get sectionId() {
-    const id = this.closest('.shopify-section')?.id;
-    if (!id) throw new Error('FacetInputs component must be a child of a section');
-    return id;
+/**
+ * Handles individual facet input functionality
+ * @extends {Component<FacetInputsRefs>}
+ */
+class FacetInputsComponent extends Component {
+  get sectionId() {
+    const id = this.closest('.shopify-section')?.id;
+    if (!id) throw new Error('FacetInputs component must be a child of a section');
+    return id;
+  }
+
+  /**
+   * Updates filters and the selected facet summary
+   */
+  updateFilters() {
+    const facetsForm = this.closest('facets-form-component');
+
+    if (!(facetsForm instanceof FacetsFormComponent)) return;
+
+    facetsForm.updateFilters();
+    this.#updateSelectedFacetSummary();
+  }
+
+  /**
+   * Handles keydown events for the facets form
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleKeyDown(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+    const closestInput = event.target.querySelector('input');
+
+    if (!(closestInput instanceof HTMLInputElement)) return;
+
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      closestInput.checked = !closestInput.checked;
+      this.updateFilters();
+    }
+  }
+
+  /**
+   * Handles mouseover events on facet labels
+   * @param {MouseEvent} event - The mouseover event
+   */
+  prefetchPage = debounce((event) => {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const form = this.closest('form');
+    if (!form) return;
+
+    const inputElement = event.target.querySelector('input');
+
+    if (!(inputElement instanceof HTMLInputElement)) return;
+
+    const facetsForm = this.closest('facets-form-component');
+    if (!(facetsForm instanceof FacetsFormComponent)) return;
+
+    // The rows of searchable lists have no name, so their values aren't submitted twice
+    const facetSearch = inputElement.closest('facet-search-component');
+    const name = facetSearch instanceof FacetSearchComponent ? facetSearch.paramName : inputElement.name;
+
+    const state = facetsForm.createState(new FormData(form)).toggle(name, inputElement.value);
+
+    sectionRenderer.getSectionHTML(this.sectionId, true, state.toURL()).catch(() => {
+      // Prefetching is best effort, the combination is fetched again if it is applied
+    });
+  }, 200);
+
+  cancelPrefetchPage = () => this.prefetchPage.cancel();
+
+  /**
+   * Updates the selected facet summary
+   */
+  #updateSelectedFacetSummary() {
+    if (!this.refs.facetInputs) return;
+
+    const checkedInputElements = this.refs.facetInputs.filter((input) => input.checked);
+    const details = this.closest('details');
+    const statusComponent = details?.querySelector('facet-status-component');
+
+    if (!(statusComponent instanceof FacetStatusComponent)) return;
+
+    statusComponent.updateListSummary(checkedInputElements);
+  }
+}
+
+if (!customElements.get('facet-inputs-component')) {
+  customElements.define('facet-inputs-component', FacetInputsComponent);
+}
+
+/**
+ * How many rows a facet search list renders above and below the visible ones.
+ */
+const OVERSCAN_ROWS = 5;
+
+/**
+ * The row height a facet search list assumes until a row can be measured.
+ */
+const DEFAULT_ROW_HEIGHT = 40;
+
+/**
+ * @typedef {Object} FacetValue
+ * @property {string} value - The value
+ * @property {string} label - The label
+ * @property {number} count - The number of products with the value
+ * @property {boolean} active - Whether the value was applied when the section was rendered
+ * @property {boolean} disabled - Whether the value has no products
+ * @property {number} index - The position of the value in the filter
+ */
+
+/**
+ * @typedef {Object} FacetSearchRefs
+ * @property {HTMLScriptElement} values - The JSON of the filter values
+ * @property {HTMLElement} selection - The hidden inputs of the applied values
+ * @property {HTMLInputElement} searchInput - The search input
+ * @property {HTMLElement} viewport - The scrolling container of the list
+ * @property {HTMLUListElement} list - The list of rendered rows
+ * @property {HTMLElement} emptyMessage - The message shown when no value matches
+ * @property {HTMLElement} liveRegion - The region announcing the number of matches
+ * @property {HTMLTemplateElement} rowTemplate - The template of a row
+ */
+
+/**
+ * Handles the values of long list filters, with a search box and a list that only renders the rows in view
+ *
+ * The applied values are listed first and kept as hidden inputs, so the form submits them whether or not their
+ * row is rendered.
+ *
+ * @extends {Component<FacetSearchRefs>}
+ */
+class FacetSearchComponent extends Component {
+  requiredRefs = [
+    'values',
+    'selection',
+    'searchInput',
+    'viewport',
+    'list',
+    'emptyMessage',
+    'liveRegion',
+    'rowTemplate',
+  ];
+
+  /**
+   * The values of the filter
+   * @type {FacetValue[]}
+   */
+  #values = [];
+
+  /**
+   * The values listed, applied ones first and then the ones matching the search
+   * @type {FacetValue[]}
+   */
+  #rows = [];
+
+  /**
+   * The applied values
+   * @type {Set<string>}
+   */
+  #selected = new Set();
+
+  /**
+   * The index of the row that can be tabbed to
+   * @type {number}
+   */
+  #activeIndex = 0;
+
+  /**
+   * The measured height of a row
+   * @type {number}
+   */
+  #rowHeight = 0;
+
+  /**
+   * Whether rendering the rows is scheduled for the next frame
+   * @type {boolean}
+   */
+  #isRenderScheduled = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.refs.viewport.addEventListener('scroll', this.#handleScroll, { passive: true });
+    this.#readValues();
+    this.#updateRows();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#readValues();
+    this.#updateRows();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.refs.viewport.removeEventListener('scroll', this.#handleScroll);
+  }
+
+  /**
+   * The parameter name of the filter
+   * @returns {string}
+   */
+  get paramName() {
+    return this.dataset.paramName ?? '';
+  }
+
+  /**
+   * The values that can be added to the filter, in the order they are listed
+   * @returns {string[]}
+   */
+  get unappliedValues() {
+    return this.#values
+      .filter((value) => !this.#selected.has(value.value) && !value.disabled)
+      .map((value) => value.value);
+  }
+
+  /**
+   * Whether the filter offers a value
+   * @param {string} value - The value
+   * @returns {boolean}
+   */
+  hasValue(value) {
+    return this.#values.some((facetValue) => facetValue.value === value);
+  }
+
+  /**
+   * Updates the counts and the unavailable values, like the staged filters of a drawer change them
+   * @param {string} json - The JSON of the filter values
+   */
+  updateCounts(json) {
+    /** @type {Map<string, Omit<FacetValue, 'index'>>} */
+    const updatedValues = new Map();
+
+    try {
+      /** @type {Omit<FacetValue, 'index'>[]} */
+      const values = JSON.parse(json);
+      for (const value of values) updatedValues.set(value.value, value);
+    } catch (error) {
+      console.error('Facet values could not be read:', error);
+      return;
+    }
+
+    this.#values = this.#values.map((value) => {
+      const updatedValue = updatedValues.get(value.value);
+      return updatedValue ? { ...value, count: updatedValue.count, disabled: updatedValue.disabled } : value;
+    });
+
+    this.#updateRows();
+  }
+
+  /**
+   * Lists the values matching the search input
+   */
+  search() {
+    this.#activeIndex = 0;
+    this.refs.viewport.scrollTop = 0;
+    this.#updateRows();
+
+    const { searchInput, liveRegion } = this.refs;
+    const template = this.dataset.resultsTemplate ?? '';
+
+    liveRegion.textContent = searchInput.value.trim()
+      ? template.replace('[count]', String(this.#getMatches().length))
+      : '';
+  }
+
+  /**
+   * Handles keydown events on the search input
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleSearchKeyDown(event) {
+    const { searchInput } = this.refs;
+
+    if (event.key === 'Enter') {
+      // Don't submit the form
+      event.preventDefault();
+    } else if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      this.#focusRow(0);
+    } else if (event.key === 'Escape' && searchInput.value) {
+      event.preventDefault();
+      searchInput.value = '';
+      this.search();
+    }
+  }
+
+  /**
+   * Handles keydown events on a row
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleRowKeyDown(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const row = event.target.closest('li');
+    const input = row?.querySelector('input');
+    if (!row || !input) return;
+
+    const index = Number(row.dataset.index);
+
+    switch (event.key) {
+      case 'ArrowDown':
+        this.#focusRow(index + 1);
+        break;
+      case 'ArrowUp':
+        if (index === 0) {
+          this.refs.searchInput.focus();
+        } else {
+          this.#focusRow(index - 1);
+        }
+        break;
+      case 'Home':
+        this.#focusRow(0);
+        break;
+      case 'End':
+        this.#focusRow(this.#rows.length - 1);
+        break;
+      case 'Enter':
+        if (!input.disabled) input.click();
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  }
+
+  /**
+   * Applies or removes the value of a row
+   * @param {Event} event - The change event
+   */
+  toggleValue(event) {
+    if (!(event.target instanceof HTMLElement)) return;
+
+    const row = event.target.closest('li');
+    const input = row?.querySelector('input');
+    const value = row?.dataset.value;
+    if (!row || !input || value === undefined) return;
+
+    if (input.checked) {
+      this.#selected.add(value);
+    } else {
+      this.#selected.delete(value);
+    }
+
+    this.#activeIndex = Number(row.dataset.index);
+    this.#updateSelection();
+
+    const facetInputs = this.closest('facet-inputs-component');
+    if (facetInputs instanceof FacetInputsComponent) facetInputs.updateFilters();
+
+    const statusComponent = this.closest('details')?.querySelector('facet-status-component');
+    if (statusComponent instanceof FacetStatusComponent) {
+      statusComponent.updateListSummary(Array.from(this.refs.selection.querySelectorAll('input')));
+    }
+  }
+
+  /**
+   * Reads the filter values rendered by the server, and the applied ones from the hidden inputs
+   */
+  #readValues() {
+    try {
+      /** @type {Omit<FacetValue, 'index'>[]} */
+      const values = JSON.parse(this.refs.values.textContent || '[]');
+      this.#values = values.map((value, index) => ({ ...value, index }));
+    } catch (error) {
+      console.error('Facet values could not be read:', error);
+      this.#values = [];
+    }
+
+    const inputs = Array.from(this.refs.selection.querySelectorAll('input'));
+    this.#selected = new Set(inputs.map((input) => input.value).filter(Boolean));
   }
 
   /**
-   * Updates filters and the selected facet summary
+   * Gets the values matching the search input
+   * @returns {FacetValue[]}
    */
-  updateFilters() {
-    const facetsForm = this.closest('facets-form-component');
+  #getMatches() {
+    const query = normalizeString(this.refs.searchInput.value.trim());
 
-    if (!(facetsForm instanceof FacetsFormComponent)) return;
+    if (!query) return this.#values;
 
-    facetsForm.updateFilters();
-    this.#updateSelectedFacetSummary();
+    return this.#values.filter((value) => normalizeString(value.label).includes(query));
   }
 
   /**
-   * Handles keydown events for the facets form
-   * @param {KeyboardEvent} event - The keydown event
+   * Lists the applied values, then the other values matching the search, and renders the rows in view
    */
-  handleKeyDown(event) {
-    if (!(event.target instanceof HTMLElement)) return;
-    const closestInput = event.target.querySelector('input');
+  #updateRows() {
+    const matches = this.#getMatches();
+    const selected = this.#values.filter((value) => this.#selected.has(value.value));
 
-    if (!(closestInput instanceof HTMLInputElement)) return;
+    this.#rows = [...selected, ...matches.filter((value) => !this.#selected.has(value.value))];
+    this.#activeIndex = Math.min(this.#activeIndex, Math.max(this.#rows.length - 1, 0));
+    this.refs.emptyMessage.classList.toggle('hidden', matches.length > 0);
 
-    if (event.key === 'Enter' || event.key === ' ') {
-      event.preventDefault();
-      closestInput.checked = !closestInput.checked;
-      this.updateFilters();
-    }
+    this.#renderRows();
   }
 
   /**
-   * Handles mouseover events on facet labels
-   * @param {MouseEvent} event - The mouseover event
+   * Renders the rows in view, keeping the rendered rows that are still in view so focus isn't lost
    */
-  prefetchPage = debounce((event) => {
-    if (!(event.target instanceof HTMLElement)) return;
+  #renderRows() {
+    const { viewport, list } = this.refs;
+    const rowHeight = this.#rowHeight || DEFAULT_ROW_HEIGHT;
+    // The viewport has no height while the filter is collapsed
+    const visibleRows = Math.ceil((viewport.clientHeight || rowHeight * 10) / rowHeight);
+    const first = Math.max(Math.floor(viewport.scrollTop / rowHeight) - OVERSCAN_ROWS, 0);
+    const last = Math.min(first + visibleRows + OVERSCAN_ROWS * 2, this.#rows.length);
+
+    /** @type {Map<string, HTMLLIElement>} */
+    const renderedRows = new Map();
+    for (const row of list.querySelectorAll('li')) renderedRows.set(row.dataset.value ?? '', row);
+
+    const rowsInView = this.#rows.slice(first, last);
+    const valuesInView = new Set(rowsInView.map((value) => value.value));
+
+    for (const [value, row] of renderedRows) {
+      if (!valuesInView.has(value)) row.remove();
+    }
 
-    const form = this.closest('form');
-    if (!form) return;
+    /** @type {HTMLLIElement | null} */
+    let previousRow = null;
 
-    const formData = new FormData(form);
-    const inputElement = event.target.querySelector('input');
+    rowsInView.forEach((value, offset) => {
+      const row = renderedRows.get(value.value) ?? this.#createRow(value);
+      this.#updateRow(row, value, first + offset);
 
-    if (!(inputElement instanceof HTMLInputElement)) return;
+      const expectedRow = previousRow ? previousRow.nextElementSibling : list.firstElementChild;
+      if (row !== expectedRow) {
+        if (previousRow) {
+          previousRow.after(row);
+        } else {
+          list.prepend(row);
+        }
+      }
 
-    if (!inputElement.checked) formData.append(inputElement.name, inputElement.value);
+      previousRow = row;
+    });
 
-    const facetsForm = this.closest('facets-form-component');
-    if (!(facetsForm instanceof FacetsFormComponent)) return;
+    list.style.height = `${this.#rows.length * rowHeight}px`;
+    list.style.paddingBlockStart = `${first * rowHeight}px`;
+
+    if (!this.#rowHeight) {
+      const measuredHeight = list.firstElementChild?.getBoundingClientRect().height ?? 0;
+
+      if (measuredHeight > 0) {
+        this.#rowHeight = measuredHeight;
+        if (measuredHeight !== rowHeight) this.#renderRows();
+      }
+    }
+  }
+
+  /**
+   * Creates the row of a value
+   * @param {FacetValue} value - The value
+   * @returns {HTMLLIElement}
+   */
+  #createRow(value) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.rowTemplate.content.cloneNode(true));
+    const row = /** @type {HTMLLIElement} */ (fragment.querySelector('li'));
+    const input = row.querySelector('input');
+    const label = row.querySelector('label');
+    const labelText = row.querySelector('.checkbox__label-text');
+    const id = `${this.dataset.inputIdPrefix}-${value.index}`;
+
+    row.dataset.value = value.value;
+
+    if (input) {
+      input.id = id;
+      input.value = value.value;
+      input.dataset.label = value.label;
+    }
 
-    const urlParameters = facetsForm.createURLParameters(formData);
+    label?.setAttribute('for', id);
+    if (labelText) labelText.textContent = value.label;
 
-    const url = new URL(window.location.pathname, window.location.origin);
+    return row;
+  }
 
-    for (const [key, value] of urlParameters) url.searchParams.append(key, value);
+  /**
+   * Updates the position and state of a row
+   * @param {HTMLLIElement} row - The row
+   * @param {FacetValue} value - The value of the row
+   * @param {number} index - The index of the row in the list
+   */
+  #updateRow(row, value, index) {
+    const input = row.querySelector('input');
+    const count = row.querySelector('.facets__value-count');
 
-    if (inputElement.checked) url.searchParams.delete(inputElement.name, inputElement.value);
+    row.dataset.index = String(index);
+    if (count) count.textContent = String(value.count);
+    row.setAttribute('aria-setsize', String(this.#rows.length));
+    row.setAttribute('aria-posinset', String(index + 1));
 
-    sectionRenderer.getSectionHTML(this.sectionId, true, url);
-  }, 200);
+    if (!input) return;
 
-  cancelPrefetchPage = () => this.prefetchPage.cancel();
+    input.checked = this.#selected.has(value.value);
+    input.disabled = value.disabled && !input.checked;
+    input.tabIndex = index === this.#activeIndex ? 0 : -1;
+  }
 
   /**
-   * Updates the selected facet summary
+   * Moves focus to a row, scrolling it into view
+   * @param {number} index - The index of the row
    */
-  #updateSelectedFacetSummary() {
-    if (!this.refs.facetInputs) return;
+  #focusRow(index) {
+    if (!this.#rows.length) return;
+
+    const { viewport, list } = this.refs;
+    const rowHeight = this.#rowHeight || DEFAULT_ROW_HEIGHT;
+    const rowIndex = Math.min(Math.max(index, 0), this.#rows.length - 1);
+    const rowTop = rowIndex * rowHeight;
+
+    if (rowTop < viewport.scrollTop) {
+      viewport.scrollTop = rowTop;
+    } else if (rowTop + rowHeight > viewport.scrollTop + viewport.clientHeight) {
+      viewport.scrollTop = rowTop + rowHeight - viewport.clientHeight;
+    }
 
-    const checkedInputElements = this.refs.facetInputs.filter((input) => input.checked);
-    const details = this.closest('details');
-    const statusComponent = details?.querySelector('facet-status-component');
+    this.#activeIndex = rowIndex;
+    this.#renderRows();
 
-    if (!(statusComponent instanceof FacetStatusComponent)) return;
+    const input = list.querySelector(`li[data-index="${rowIndex}"] input`);
+    if (input instanceof HTMLInputElement) input.focus();
+  }
 
-    statusComponent.updateListSummary(checkedInputElements);
+  /**
+   * Replaces the hidden inputs with the applied values
+   */
+  #updateSelection() {
+    const inputs = this.#values
+      .filter((value) => this.#selected.has(value.value))
+      .map((value) => {
+        const input = document.createElement('input');
+
+        input.type = 'hidden';
+        input.name = this.paramName;
+        input.value = value.value;
+        input.dataset.label = value.label;
+
+        return input;
+      });
+
+    this.refs.selection.replaceChildren(...inputs);
   }
+
+  /**
+   * Renders the rows in view once per frame while the list scrolls
+   */
+  #handleScroll = () => {
+    if (this.#isRenderScheduled) return;
+
+    this.#isRenderScheduled = true;
+    requestAnimationFrame(() => {
+      this.#isRenderScheduled = false;
+      this.#renderRows();
+    });
+  };
 }
 
-if (!customElements.get('facet-inputs-component')) {
-  customElements.define('facet-inputs-component', FacetInputsComponent);
+if (!customElements.get('facet-search-component')) {
+  customElements.define('facet-search-component', FacetSearchComponent);
 }
 
+/**
+ * @typedef {Object} PriceRange
+ * @property {number | null} min - The minimum price in cents, null when there's none
+ * @property {number | null} max - The maximum price in cents, null when there's none
+ */
+
 /**
  * @typedef {Object} PriceFacetRefs
  * @property {HTMLInputElement} minInput - The minimum price input
  * @property {HTMLInputElement} maxInput - The maximum price input
+ * @property {HTMLInputElement} minValue - The submitted minimum price
+ * @property {HTMLInputElement} maxValue - The submitted maximum price
+ * @property {HTMLInputElement} [minRange] - The slider thumb of the minimum price
+ * @property {HTMLInputElement} [maxRange] - The slider thumb of the maximum price
+ * @property {HTMLElement[]} [histogramBars] - The bars of the price histogram
  */
 
 /**
  * Handles price facet functionality
+ *
+ * The typed prices follow the number format of the active locale, and are submitted as decimals through hidden
+ * inputs. Dragging the slider updates the filters once the thumb settles.
+ *
  * @extends {Component<PriceFacetRefs>}
  */
 class PriceFacetComponent extends Component {
+  requiredRefs = ['minInput', 'maxInput', 'minValue', 'maxValue'];
+
+  /**
+   * Whether the shopper is dragging a slider thumb
+   * @type {boolean}
+   */
+  #isDragging = false;
+
+  /**
+   * Updates the filters once the slider thumbs settle
+   */
+  #debouncedUpdateFilters = debounce(() => this.#updateFilters(), UPDATE_DELAY);
+
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
+    this.addEventListener('pointerdown', this.#handlePointerDown);
+    this.addEventListener('pointerup', this.#handlePointerUp);
+    this.addEventListener('pointercancel', this.#handlePointerUp);
+    this.#setPrices(this.#getAppliedPrices());
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // A section rendered while dragging is already behind the thumb
+    if (this.#isDragging) return;
+
+    this.#setPrices(this.#getAppliedPrices());
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    this.removeEventListener('pointerdown', this.#handlePointerDown);
+    this.removeEventListener('pointerup', this.#handlePointerUp);
+    this.removeEventListener('pointercancel', this.#handlePointerUp);
+    this.#debouncedUpdateFilters.cancel();
+  }
+
+  /**
+   * The highest price of the slider, in cents
+   * @returns {number}
+   */
+  get rangeMax() {
+    return Number(this.dataset.rangeMax) || 0;
   }
 
   /**
@@ -232,67 +1117,134 @@ class PriceFacetComponent extends Component {
    */
   #onKeyDown = (event) => {
     if (event.metaKey) return;
+    if (event.target !== this.refs.minInput && event.target !== this.refs.maxInput) return;
 
     const pattern = /[0-9]|\.|,|'| |Tab|Backspace|Enter|ArrowUp|ArrowDown|ArrowLeft|ArrowRight|Delete|Escape/;
     if (!event.key.match(pattern)) event.preventDefault();
   };
 
+  /**
+   * Moves a slider thumb, keeping it on its side of the other one
+   * @param {Event} event - The input event
+   */
+  handleRangeInput(event) {
+    const { minRange, maxRange } = this.refs;
+    if (!minRange || !maxRange) return;
+
+    if (event.target === minRange) {
+      minRange.valueAsNumber = Math.min(minRange.valueAsNumber, maxRange.valueAsNumber);
+    } else {
+      maxRange.valueAsNumber = Math.max(maxRange.valueAsNumber, minRange.valueAsNumber);
+    }
+
+    const min = minRange.valueAsNumber;
+    const max = maxRange.valueAsNumber;
+
+    this.#setPrices({ min: min > 0 ? min : null, max: max < this.rangeMax ? max : null });
+    this.#updateSummary();
+    this.#debouncedUpdateFilters();
+  }
+
   /**
    * Updates price filter and results
    */
   updatePriceFilterAndResults() {
     const { minInput, maxInput } = this.refs;
+    const rangeMax = this.rangeMax || Infinity;
 
-    this.#adjustToValidValues(minInput);
-    this.#adjustToValidValues(maxInput);
+    let min = parseAmount(minInput.value);
+    let max = parseAmount(maxInput.value);
 
+    if (min !== null) min = clamp(min, 0, max ?? rangeMax);
+    if (max !== null) max = clamp(max, min ?? 0, rangeMax);
+
+    this.#setPrices({ min, max });
+    this.#debouncedUpdateFilters.cancel();
+    this.#updateFilters();
+  }
+
+  /**
+   * Updates the filters and the price summary
+   */
+  #updateFilters() {
     const facetsForm = this.closest('facets-form-component');
     if (!(facetsForm instanceof FacetsFormComponent)) return;
 
     facetsForm.updateFilters();
-    this.#setMinAndMaxValues();
     this.#updateSummary();
   }
 
   /**
-   * Adjusts input values to be within valid range
-   * @param {HTMLInputElement} input - The input element to adjust
+   * Gets the prices applied when the section was rendered
+   * @returns {PriceRange}
    */
-  #adjustToValidValues(input) {
-    if (input.value.trim() === '') return;
-
-    const value = Number(input.value);
-    const min = Number(formatMoney(input.getAttribute('data-min') ?? ''));
-    const max = Number(formatMoney(input.getAttribute('data-max') ?? ''));
+  #getAppliedPrices() {
+    const { minValue, maxValue } = this.dataset;
 
-    if (value < min) input.value = min.toString();
-    if (value > max) input.value = max.toString();
+    return {
+      min: minValue ? Number(minValue) : null,
+      max: maxValue ? Number(maxValue) : null,
+    };
   }
 
   /**
-   * Sets min and max values for the inputs
+   * Sets the prices of the inputs, the slider and the histogram
+   * @param {PriceRange} prices - The prices
    */
-  #setMinAndMaxValues() {
-    const { minInput, maxInput } = this.refs;
+  #setPrices({ min, max }) {
+    const { minInput, maxInput, minValue, maxValue, minRange, maxRange, histogramBars = [] } = this.refs;
+    const rangeMax = this.rangeMax;
+    const start = min ?? 0;
+    const end = max ?? rangeMax;
+
+    minValue.value = min === null ? '' : String(min / 100);
+    maxValue.value = max === null ? '' : String(max / 100);
+    minInput.value = min === null ? '' : formatAmount(min);
+    maxInput.value = max === null ? '' : formatAmount(max);
+
+    if (!minRange || !maxRange || !rangeMax) return;
+
+    if (!this.#isDragging) {
+      minRange.valueAsNumber = start;
+      maxRange.valueAsNumber = end;
+    }
 
-    if (maxInput.value) minInput.setAttribute('data-max', maxInput.value);
-    if (minInput.value) maxInput.setAttribute('data-min', minInput.value);
-    if (minInput.value === '') maxInput.setAttribute('data-min', '0');
-    if (maxInput.value === '') minInput.setAttribute('data-max', maxInput.getAttribute('data-max') ?? '');
+    minRange.setAttribute('aria-valuetext', formatPrice(start));
+    maxRange.setAttribute('aria-valuetext', formatPrice(end));
+    minRange.classList.toggle('price-facet__range--front', start >= rangeMax);
+
+    this.style.setProperty('--price-facet-start', String(start / rangeMax));
+    this.style.setProperty('--price-facet-end', String(end / rangeMax));
+
+    for (const bar of histogramBars) {
+      const isActive = Number(bar.dataset.max) > start && Number(bar.dataset.min) < end;
+      bar.classList.toggle('price-facet__bar--active', isActive);
+    }
   }
 
   /**
    * Updates the price summary
    */
   #updateSummary() {
-    const { minInput, maxInput } = this.refs;
+    const { minValue, maxValue } = this.refs;
     const details = this.closest('details');
     const statusComponent = details?.querySelector('facet-status-component');
 
     if (!(statusComponent instanceof FacetStatusComponent)) return;
 
-    statusComponent?.updatePriceSummary(minInput, maxInput);
+    statusComponent?.updatePriceSummary(minValue, maxValue);
   }
+
+  /**
+   * @param {PointerEvent} event - The pointerdown event
+   */
+  #handlePointerDown = (event) => {
+    if (event.target === this.refs.minRange || event.target === this.refs.maxRange) this.#isDragging = true;
+  };
+
+  #handlePointerUp = () => {
+    this.#isDragging = false;
+  };
 }
 
 if (!customElements.get('price-facet-component')) {
@@ -856,6 +1808,275 @@ if (!customElements.get('facet-status-component')) {
   customElements.define('facet-status-component', FacetStatusComponent);
 }
 
+/**
+ * @typedef {Object} FilterPresetsRefs
+ * @property {HTMLElement} emptyMessage - The message shown when no presets are saved
+ * @property {HTMLUListElement} list - The list the presets are rendered into
+ * @property {HTMLInputElement} nameInput - The name of the preset to save
+ * @property {HTMLButtonElement} saveButton - The button saving the applied filters as a preset
+ * @property {HTMLElement} liveRegion - The live region announcing saved presets and copied links
+ * @property {HTMLTemplateElement} itemTemplate - The markup of a preset
+ */
+
+/**
+ * Handles the filter presets the shopper saved for the collection
+ *
+ * Presets are checked against the facets the section renders: values that are no longer available are flagged in
+ * the list, and dropped when the preset is applied or shared.
+ *
+ * @extends {Component<FilterPresetsRefs>}
+ */
+class FilterPresetsComponent extends Component {
+  requiredRefs = ['emptyMessage', 'list', 'nameInput', 'saveButton', 'liveRegion', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+    document.addEventListener(ThemeEvents.filterPresetsUpdate, this.#handlePresetsUpdate);
+    document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    document.removeEventListener(ThemeEvents.filterPresetsUpdate, this.#handlePresetsUpdate);
+    document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+  }
+
+  /**
+   * The handle of the collection the presets are saved for
+   * @returns {string}
+   */
+  get #collection() {
+    return this.dataset.collection ?? '';
+  }
+
+  /**
+   * The facets form the presets apply to
+   * @returns {FacetsFormComponent | null}
+   */
+  get #facetsForm() {
+    const facetsForm = this.closest('facets-form-component');
+    return facetsForm instanceof FacetsFormComponent ? facetsForm : null;
+  }
+
+  /**
+   * @param {import('@theme/events').FilterPresetsUpdateEvent} event
+   */
+  #handlePresetsUpdate = (event) => {
+    if (event.detail.collection === this.#collection) this.render();
+  };
+
+  #handleFilterUpdate = () => {
+    this.updateSaveButton();
+  };
+
+  /**
+   * Renders the saved presets
+   */
+  render() {
+    const { emptyMessage, list } = this.refs;
+    const presets = filterPresets.get(this.#collection);
+
+    list.replaceChildren(...presets.map((preset) => this.#renderPreset(preset)));
+    list.classList.toggle('hidden', presets.length === 0);
+    emptyMessage.classList.toggle('hidden', presets.length > 0);
+
+    this.updateSaveButton();
+  }
+
+  /**
+   * Enables the save button when the preset has a name and filters or sorting are applied
+   */
+  updateSaveButton() {
+    const { nameInput, saveButton } = this.refs;
+    const state = this.#getAppliedState();
+
+    saveButton.disabled = !nameInput.value.trim() || !state || (!state.hasFilters && !state.sortBy);
+  }
+
+  /**
+   * Saves the preset when Enter is pressed in the name input
+   * @param {KeyboardEvent} event - The keydown event
+   */
+  handleNameKeyDown(event) {
+    if (event.key !== 'Enter') return;
+
+    event.preventDefault();
+    if (!this.refs.saveButton.disabled) this.save();
+  }
+
+  /**
+   * Saves the applied filters and sorting as a preset
+   */
+  save() {
+    const { nameInput, liveRegion } = this.refs;
+    const { savedTemplate = '' } = this.dataset;
+    const name = nameInput.value.trim();
+    const state = this.#getAppliedState();
+
+    if (!name || !state) return;
+
+    filterPresets.save(this.#collection, { name, params: state.toString() });
+
+    nameInput.value = '';
+    this.updateSaveButton();
+    liveRegion.textContent = savedTemplate.replace('[name]', name);
+  }
+
+  /**
+   * Applies a preset
+   * @param {Event} event - The click event
+   */
+  apply(event) {
+    const state = this.#getPresetState(event);
+
+    if (state) this.#facetsForm?.updateFiltersByURL(state.toURL().toString());
+  }
+
+  /**
+   * Copies the link to the collection with a preset applied
+   * @param {Event} event - The click event
+   */
+  async copyLink(event) {
+    const { copiedText = '' } = this.dataset;
+    const state = this.#getPresetState(event);
+
+    if (!state) return;
+
+    try {
+      await navigator.clipboard.writeText(state.toURL().toString());
+      this.refs.liveRegion.textContent = copiedText;
+    } catch (error) {
+      console.error('Filter preset link could not be copied:', error);
+    }
+  }
+
+  /**
+   * Deletes a preset
+   * @param {Event} event - The click event
+   */
+  deletePreset(event) {
+    const name = this.#getPresetName(event);
+
+    if (!name) return;
+
+    filterPresets.remove(this.#collection, name);
+    this.refs.nameInput.focus();
+  }
+
+  /**
+   * Renders a preset from the item template
+   * @param {import('@theme/filter-presets').FilterPreset} preset - The preset
+   * @returns {HTMLElement}
+   */
+  #renderPreset(preset) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+    const { copyLinkTemplate = '', deleteTemplate = '', unavailableTemplate = '' } = this.dataset;
+    const [applyButton, copyButton, deleteButton] = element.querySelectorAll('button');
+    const note = element.querySelector('.filter-presets__note');
+
+    element.dataset.presetName = preset.name;
+
+    if (applyButton) applyButton.textContent = preset.name;
+    copyButton?.setAttribute('aria-label', copyLinkTemplate.replace('[name]', preset.name));
+    deleteButton?.setAttribute('aria-label', deleteTemplate.replace('[name]', preset.name));
+
+    const savedState = FacetState.fromSearchParams(preset.params);
+    const availableState = this.#facetsForm?.getAvailableState(savedState);
+
+    if (note && availableState && !availableState.equals(savedState)) {
+      note.textContent = unavailableTemplate.replace('[name]', preset.name);
+      note.classList.remove('hidden');
+    }
+
+    return element;
+  }
+
+  /**
+   * Gets the applied filters and sorting that a preset can save
+   * @returns {FacetState | null}
+   */
+  #getAppliedState() {
+    const facetsForm = this.#facetsForm;
+
+    return facetsForm ? facetsForm.getAvailableState(facetsForm.appliedState) : null;
+  }
+
+  /**
+   * Gets the name of the preset a control belongs to
+   * @param {Event} event - The event on the control
+   * @returns {string | undefined}
+   */
+  #getPresetName(event) {
+    if (!(event.target instanceof Element)) return;
+
+    return event.target.closest('[data-preset-name]')?.getAttribute('data-preset-name') ?? undefined;
+  }
+
+  /**
+   * Gets the state of the preset a control belongs to, without the values that are no longer available
+   * @param {Event} event - The event on the control
+   * @returns {FacetState | null}
+   */
+  #getPresetState(event) {
+    const name = this.#getPresetName(event);
+    const preset = filterPresets.get(this.#collection).find((preset) => preset.name === name);
+    const facetsForm = this.#facetsForm;
+
+    if (!preset || !facetsForm) return null;
+
+    return facetsForm.getAvailableState(FacetState.fromSearchParams(preset.params));
+  }
+}
+
+if (!customElements.get('filter-presets-component')) {
+  customElements.define('filter-presets-component', FilterPresetsComponent);
+}
+
+/**
+ * @typedef {Object} SearchWithinRefs
+ * @property {HTMLInputElement} input - The field for the terms to narrow the results with
+ */
+
+/**
+ * Narrows the search results with more terms, keeping the applied filters and sorting
+ *
+ * The terms are added to the current query, so Shopify only returns the results that match both.
+ *
+ * @extends {Component<SearchWithinRefs>}
+ */
+class SearchWithinComponent extends Component {
+  requiredRefs = ['input'];
+
+  /**
+   * Searches within the results
+   * @param {SubmitEvent} event - The submit event of the form
+   */
+  search(event) {
+    event.preventDefault();
+
+    const terms = this.refs.input.value.trim();
+    if (!terms) return;
+
+    const facetsForm = document.querySelector(`facets-form-component[section-id="${this.dataset.sectionId}"]`);
+    const searchParams =
+      facetsForm instanceof FacetsFormComponent
+        ? facetsForm.createURLParameters()
+        : new URLSearchParams(window.location.search);
+    const query = searchParams.get(SEARCH_QUERY) ?? '';
+
+    searchParams.set(SEARCH_QUERY, `${query} ${terms}`.trim());
+    searchParams.delete('page');
+
+    window.location.assign(`${Theme.routes.search_url}?${searchParams}`);
+  }
+}
+
+if (!customElements.get('search-within-component')) {
+  customElements.define('search-within-component', SearchWithinComponent);
+}
+
 /**
  * Default currency decimals used in most currenies
  * @constant {number}
@@ -0,0 +1,111 @@
+import { FilterPresetsUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} FilterPreset
+ * @property {string} name - The name the shopper gave the preset.
+ * @property {string} params - The filters and sorting of the preset, as a query string.
+ */
+
+/**
+ * The maximum number of presets saved per collection.
+ */
+export const MAX_FILTER_PRESETS = 10;
+
+const STORAGE_KEY = 'filter-presets';
+
+/**
+ * The filter combinations the shopper saved, by collection.
+ *
+ * The presets are kept in localStorage, so they are there on the next visit. Changes are announced with a
+ * `FilterPresetsUpdateEvent` on the document.
+ */
+class FilterPresets {
+  /**
+   * The saved presets, by collection handle.
+   * @type {Record<string, FilterPreset[]>}
+   */
+  #presets = readPresets();
+
+  /**
+   * Gets the presets saved for a collection, most recent first.
+   * @param {string} collection - The handle of the collection.
+   * @returns {FilterPreset[]}
+   */
+  get(collection) {
+    return this.#presets[collection] ?? [];
+  }
+
+  /**
+   * Saves a preset for a collection, replacing any preset with the same name.
+   * @param {string} collection - The handle of the collection.
+   * @param {FilterPreset} preset - The preset.
+   */
+  save(collection, preset) {
+    const presets = this.get(collection).filter((saved) => !isSameName(saved.name, preset.name));
+
+    this.#setPresets(collection, [preset, ...presets].slice(0, MAX_FILTER_PRESETS));
+  }
+
+  /**
+   * Deletes a preset of a collection.
+   * @param {string} collection - The handle of the collection.
+   * @param {string} name - The name of the preset.
+   */
+  remove(collection, name) {
+    const presets = this.get(collection);
+
+    if (!presets.some((preset) => isSameName(preset.name, name))) return;
+
+    this.#setPresets(
+      collection,
+      presets.filter((preset) => !isSameName(preset.name, name))
+    );
+  }
+
+  /**
+   * Stores the presets of a collection and announces the change.
+   * @param {string} collection - The handle of the collection.
+   * @param {FilterPreset[]} presets - The presets.
+   */
+  #setPresets(collection, presets) {
+    if (presets.length) {
+      this.#presets = { ...this.#presets, [collection]: presets };
+    } else {
+      const { [collection]: _, ...rest } = this.#presets;
+      this.#presets = rest;
+    }
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.#presets));
+    } catch (error) {
+      console.error('Filter presets could not be stored:', error);
+    }
+
+    document.dispatchEvent(new FilterPresetsUpdateEvent(collection, presets));
+  }
+}
+
+/**
+ * Whether two preset names are the same, ignoring case and surrounding whitespace.
+ * @param {string} a - A name.
+ * @param {string} b - Another name.
+ * @returns {boolean}
+ */
+function isSameName(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+/**
+ * Reads the saved presets from localStorage.
+ * @returns {Record<string, FilterPreset[]>}
+ */
+function readPresets() {
+  try {
+    const presets = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return presets && typeof presets === 'object' && !Array.isArray(presets) ? presets : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+export const filterPresets = new FilterPresets();
@@ -1,4 +1,5 @@
 import { debounce, requestIdleCallback, viewTransition } from '@theme/utilities';
+import { registerMorphStrategy } from '@theme/morph';
 
 const OFFSET = 40;
 
@@ -55,6 +56,9 @@ export class FloatingPanelComponent extends HTMLElement {
   }
 }
 
+// The panel is positioned with inline styles, which the server markup doesn't have
+registerMorphStrategy({ selector: 'floating-panel-component', attributes: ['style'] });
+
 if (!customElements.get('floating-panel-component')) {
   customElements.define('floating-panel-component', FloatingPanelComponent);
 }
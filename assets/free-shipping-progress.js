@@ -0,0 +1,92 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartStateChangeEvent } from '@theme/events';
+import { clamp, formatPrice, prefersReducedMotion } from '@theme/utilities';
+
+/**
+ * A custom element that shows how much more the shopper needs to spend to get free shipping.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} message - The remaining amount message.
+ * @property {HTMLElement} bar - The progress bar.
+ * @property {HTMLElement} liveRegion - The live region announcing milestone changes.
+ *
+ * @extends {Component<Refs>}
+ */
+class FreeShippingProgress extends Component {
+  requiredRefs = ['message', 'bar', 'liveRegion'];
+
+  /**
+   * Whether the threshold was reached the last time the progress was rendered.
+   * @type {boolean}
+   */
+  #reached = false;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#reached = this.subtotal >= this.threshold;
+
+    document.addEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartStateChange, this.#handleCartStateChange);
+  }
+
+  /**
+   * Renders the progress for the new cart state, including optimistic changes.
+   * @param {CartStateChangeEvent} event - The cart state change event.
+   */
+  #handleCartStateChange = (event) => {
+    this.dataset.subtotal = String(event.detail.cart.items_subtotal_price);
+    this.render();
+  };
+
+  /**
+   * Renders the progress towards the threshold, announcing when it is reached or lost.
+   */
+  render() {
+    const { message, bar, liveRegion } = this.refs;
+    const { threshold, subtotal } = this;
+    const { remainingTemplate = '', reachedText = '', currency } = this.dataset;
+
+    const remaining = Math.max(threshold - subtotal, 0);
+    const reached = remaining === 0;
+    const text = reached ? reachedText : remainingTemplate.replace('[amount]', formatPrice(remaining, currency));
+
+    this.classList.toggle('free-shipping-progress--animated', !prefersReducedMotion());
+    this.style.setProperty('--free-shipping-progress', `${clamp(subtotal / threshold, 0, 1) * 100}%`);
+
+    message.textContent = text;
+    bar.setAttribute('aria-valuenow', String(Math.min(subtotal, threshold)));
+    bar.setAttribute('aria-valuetext', text);
+
+    if (reached !== this.#reached) {
+      liveRegion.textContent = text;
+    }
+
+    this.#reached = reached;
+  }
+
+  /**
+   * The free shipping threshold, in cents.
+   * @returns {number}
+   */
+  get threshold() {
+    return Number(this.dataset.threshold) || 0;
+  }
+
+  /**
+   * The cart subtotal, in cents.
+   * @returns {number}
+   */
+  get subtotal() {
+    return Number(this.dataset.subtotal) || 0;
+  }
+}
+
+if (!customElements.get('free-shipping-progress')) {
+  customElements.define('free-shipping-progress', FreeShippingProgress);
+}
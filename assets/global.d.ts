@@ -27,6 +27,7 @@ declare global {
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
+      product_recommendations_url: string;
       search_url: string;
     };
     utilities: {
@@ -0,0 +1,134 @@
+/**
+ * @typedef {Object} HistorySnapshot
+ * @property {number} scrollY - The scroll position of the page.
+ * @property {string | null} focusId - The ID of the element that had focus.
+ * @property {{ first: number, last: number }} [pages] - The range of pages loaded by infinite scroll.
+ */
+
+/**
+ * The snapshots of the history entries created by this page, by entry key.
+ * @type {Map<string, HistorySnapshot>}
+ */
+const snapshots = new Map();
+
+/**
+ * The key of the current history entry.
+ * @type {string}
+ */
+let currentKey = getEntryKey(history.state) ?? createEntryKey();
+
+/**
+ * Whether saving the scroll position is scheduled for the next frame.
+ * @type {boolean}
+ */
+let isSnapshotScheduled = false;
+
+if (getEntryKey(history.state) !== currentKey) {
+  history.replaceState({ ...history.state, key: currentKey }, '');
+}
+
+snapshots.set(currentKey, takeSnapshot());
+
+/**
+ * Adds a history entry, remembering where the shopper was in the current one.
+ * @param {string | URL} url - The URL of the entry.
+ * @param {Record<string, unknown>} [state] - The state of the entry.
+ */
+export function pushHistoryState(url, state = {}) {
+  updateSnapshot();
+
+  currentKey = createEntryKey();
+  snapshots.set(currentKey, takeSnapshot());
+
+  history.pushState({ ...state, key: currentKey }, '', url.toString());
+}
+
+/**
+ * Replaces the current history entry, keeping its snapshot.
+ * @param {string | URL} url - The URL of the entry.
+ * @param {Record<string, unknown>} [state] - The state of the entry.
+ */
+export function replaceHistoryState(url, state = {}) {
+  history.replaceState({ ...state, key: currentKey }, '', url.toString());
+}
+
+/**
+ * Gets the snapshot of the current history entry. Read it as soon as a `popstate` event fires, before the
+ * browser's own scroll restoration overwrites the position.
+ * @returns {HistorySnapshot}
+ */
+export function getHistorySnapshot() {
+  return { ...(snapshots.get(currentKey) ?? takeSnapshot()) };
+}
+
+/**
+ * Updates the snapshot of the current history entry.
+ * @param {Partial<HistorySnapshot>} [snapshot] - The values to update, on top of the current position.
+ */
+export function updateSnapshot(snapshot) {
+  snapshots.set(currentKey, { ...snapshots.get(currentKey), ...takeSnapshot(), ...snapshot });
+}
+
+/**
+ * Restores the scroll position and focus of a history entry.
+ * @param {HistorySnapshot} snapshot - The snapshot of the entry.
+ */
+export function restoreHistorySnapshot({ scrollY, focusId }) {
+  window.scrollTo({ top: scrollY, behavior: 'instant' });
+
+  if (focusId) document.getElementById(focusId)?.focus({ preventScroll: true });
+}
+
+/**
+ * Takes a snapshot of the scroll position and focus of the page.
+ * @returns {HistorySnapshot}
+ */
+function takeSnapshot() {
+  return { scrollY: window.scrollY, focusId: document.activeElement?.id || null };
+}
+
+/**
+ * Gets the key of a history entry.
+ * @param {unknown} state - The state of the entry.
+ * @returns {string | undefined}
+ */
+function getEntryKey(state) {
+  if (state && typeof state === 'object' && 'key' in state && typeof state.key === 'string') return state.key;
+
+  return undefined;
+}
+
+/**
+ * Creates a key that is unique across page loads, as entries outlive the page that created them.
+ * @returns {string}
+ */
+function createEntryKey() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Keep the snapshot of the current entry up to date, so it is accurate when the shopper leaves it with the back
+// or forward button. The scroll position is saved at most once per frame.
+window.addEventListener(
+  'scroll',
+  () => {
+    if (isSnapshotScheduled) return;
+
+    isSnapshotScheduled = true;
+    requestAnimationFrame(() => {
+      isSnapshotScheduled = false;
+      updateSnapshot();
+    });
+  },
+  { passive: true }
+);
+
+document.addEventListener('focusin', () => updateSnapshot());
+
+window.addEventListener('popstate', (event) => {
+  const key = getEntryKey(event.state);
+
+  currentKey = key ?? createEntryKey();
+  if (!key) history.replaceState({ ...event.state, key: currentKey }, '');
+
+  if (!snapshots.has(currentKey)) snapshots.set(currentKey, takeSnapshot());
+});
@@ -7,8 +7,44 @@ import { Component } from '@theme/component';
  * @property {(oldNode: Node, newNode: Node) => void} [onBeforeUpdate] - Pre-update hook
  * @property {(node: Node) => void} [onAfterUpdate] - Post-update hook
  * @property {(oldNode: Node, newNode: Node) => boolean} [reject] - Reject a node from being morphed
+ * @property {MorphStrategy[]} [strategies] - Strategies for this morph only, on top of the registered ones
  */
 
+/**
+ * Describes the state of elements that a morph must keep, because scripts changed it after the server rendered it.
+ *
+ * @typedef {Object} MorphStrategy
+ * @property {string} [selector] - The elements the strategy applies to, all of them by default
+ * @property {string[]} [attributes] - The attributes whose current value is kept, when they have one
+ * @property {string[]} [properties] - The properties whose current value is kept, like `value` or `scrollTop`
+ * @property {boolean} [preserveChildren] - Whether the child nodes are kept as they are
+ * @property {(oldElement: Element, newElement: Element) => void} [update] - Adjusts the new element before the
+ * old one is updated to match it
+ */
+
+/**
+ * The strategies applied to every morph
+ * @type {MorphStrategy[]}
+ */
+const strategies = [];
+
+/**
+ * Registers a strategy applied to every morph, usually by the module of the component it describes
+ * @param {MorphStrategy} strategy - The strategy
+ */
+export function registerMorphStrategy(strategy) {
+  strategies.push(strategy);
+}
+
+// Preserve temporary view transition names
+registerMorphStrategy({
+  update(oldElement, newElement) {
+    if (oldElement instanceof HTMLElement && newElement instanceof HTMLElement && oldElement.style.viewTransitionName) {
+      newElement.style.viewTransitionName = oldElement.style.viewTransitionName;
+    }
+  },
+});
+
 /**
  * The options for the morph
  * @type {Options}
@@ -39,37 +75,6 @@ const MORPH_OPTIONS = {
 
     return false;
   },
-  onBeforeUpdate(oldNode, newNode) {
-    if (oldNode instanceof Element && newNode instanceof Element) {
-      const attributes = ['product-grid-view'];
-
-      for (const attribute of attributes) {
-        const oldValue = oldNode.getAttribute(attribute);
-        const newValue = newNode.getAttribute(attribute);
-
-        if (oldValue && oldValue !== newValue) {
-          newNode.setAttribute(attribute, oldValue);
-        }
-      }
-
-      // Special case for elements that need to keep their style
-      const elements = ['floating-panel-component'];
-
-      for (const element of elements) {
-        const tagName = element.toUpperCase();
-        if (oldNode.tagName === tagName && newNode.tagName === tagName) {
-          const oldStyle = oldNode.getAttribute('style');
-
-          if (oldStyle) newNode.setAttribute('style', oldStyle);
-        }
-      }
-
-      // Preserve temporary view transition name
-      if (oldNode instanceof HTMLElement && newNode instanceof HTMLElement && oldNode.style.viewTransitionName) {
-        newNode.style.viewTransitionName = oldNode.style.viewTransitionName;
-      }
-    }
-  },
   onAfterUpdate(node) {
     if (node instanceof Component) {
       queueMicrotask(() => node.updatedCallback());
@@ -81,14 +86,16 @@ const MORPH_OPTIONS = {
  * Morphs one DOM tree into another by comparing nodes and applying minimal changes
  * @param {Node} oldTree - The existing DOM tree
  * @param {Node | string} newTree - The new DOM tree to morph to
- * @param {Options} [options] - Configuration options
+ * @param {Options} [options] - Configuration options, merged over the default ones
  * @returns {Node} The morphed DOM tree
  */
-export function morph(oldTree, newTree, options = MORPH_OPTIONS) {
+export function morph(oldTree, newTree, options = {}) {
   if (!oldTree || !newTree) {
     throw new Error('Both oldTree and newTree must be provided');
   }
 
+  options = { ...MORPH_OPTIONS, ...options };
+
   if (typeof newTree === 'string') {
     const parsedNewTree = new DOMParser().parseFromString(newTree, 'text/html').body.firstChild;
     if (!parsedNewTree) {
@@ -148,8 +155,10 @@ function walk(newNode, oldNode, options) {
     // This is a special case where we don't want to morph the node, but we want to morph the children
     updateChildren(newNode, oldNode, options);
   } else {
+    const preserveChildren = getStrategies(oldNode, options).some((strategy) => strategy.preserveChildren);
+
     updateNode(newNode, oldNode, options);
-    updateChildren(newNode, oldNode, options);
+    if (!preserveChildren) updateChildren(newNode, oldNode, options);
   }
 
   options.onAfterUpdate?.(newNode);
@@ -166,6 +175,9 @@ function walk(newNode, oldNode, options) {
 function updateNode(newNode, oldNode, options) {
   options.onBeforeUpdate?.(oldNode, newNode);
 
+  const nodeStrategies = getStrategies(oldNode, options);
+  const restoreProperties = preserveState(nodeStrategies, newNode, oldNode);
+
   if (
     (newNode instanceof HTMLDetailsElement && oldNode instanceof HTMLDetailsElement) ||
     (newNode instanceof HTMLDialogElement && oldNode instanceof HTMLDialogElement)
@@ -204,16 +216,70 @@ function updateNode(newNode, oldNode, options) {
   } else if (newNode instanceof HTMLTextAreaElement && oldNode instanceof HTMLTextAreaElement) {
     updateTextarea(newNode, oldNode);
   }
+
+  restoreProperties();
+}
+
+/**
+ * Gets the registered and per-morph strategies that apply to a node
+ * @param {Node} node - The existing node
+ * @param {Options} options - The options object
+ * @returns {MorphStrategy[]} The strategies
+ */
+function getStrategies(node, options) {
+  if (!(node instanceof Element)) return [];
+
+  return [...strategies, ...(options.strategies ?? [])].filter(
+    (strategy) => !strategy.selector || node.matches(strategy.selector)
+  );
+}
+
+/**
+ * Carries the attributes the strategies keep over to the new node, and records the properties they keep
+ * @param {MorphStrategy[]} nodeStrategies - The strategies that apply to the node
+ * @param {Node} newNode - The new node
+ * @param {Node} oldNode - The existing node
+ * @returns {() => void} Restores the recorded properties, once the node is updated
+ */
+function preserveState(nodeStrategies, newNode, oldNode) {
+  if (!nodeStrategies.length || !(newNode instanceof Element) || !(oldNode instanceof Element)) return () => {};
+
+  /** @type {Array<[string, unknown]>} */
+  const properties = [];
+
+  for (const strategy of nodeStrategies) {
+    for (const attribute of strategy.attributes ?? []) {
+      const oldValue = oldNode.getAttribute(attribute);
+
+      if (oldValue) newNode.setAttribute(attribute, oldValue);
+    }
+
+    for (const property of strategy.properties ?? []) {
+      properties.push([property, Reflect.get(oldNode, property)]);
+    }
+
+    strategy.update?.(oldNode, newNode);
+  }
+
+  return () => {
+    for (const [property, value] of properties) {
+      if (Reflect.get(oldNode, property) !== value) Reflect.set(oldNode, property, value);
+    }
+  };
 }
 
 /**
- * Gets a node's key using the getNodeKey option if provided
+ * Gets a node's key using the getNodeKey option if provided, then its `data-morph-key` attribute, then its ID.
+ * Keyed nodes are only morphed into nodes with the same key, so they keep their state when siblings move.
  * @param {Node | undefined} node - The node to get the key from
  * @param {Options} [options] - The options object that may contain getNodeKey
  * @returns {string|number|undefined} The node's key if one exists
  */
 function getNodeKey(node, options) {
-  return options?.getNodeKey?.(node) ?? (node instanceof Element ? node.id : undefined);
+  return (
+    options?.getNodeKey?.(node) ??
+    (node instanceof Element ? node.getAttribute('data-morph-key') || node.id : undefined)
+  );
 }
 
 /**
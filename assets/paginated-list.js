@@ -1,7 +1,8 @@
 import { Component } from '@theme/component';
 import { sectionRenderer } from '@theme/section-renderer';
 import { requestIdleCallback, viewTransition } from '@theme/utilities';
-import { ThemeEvents } from '@theme/events';
+import { SectionErrorEvent, ThemeEvents } from '@theme/events';
+import { pushHistoryState, updateSnapshot } from '@theme/history';
 import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-ratio';
 
 /**
@@ -12,6 +13,7 @@ import { PaginatedListAspectRatioHelper } from '@theme/paginated-list-aspect-rat
  * @property {HTMLSpanElement} [viewMorePrevious] - The view more previous button.
  * @property {HTMLSpanElement} [viewMoreNext] - The view more next button.
  * @property {HTMLElement[]} [cards] - The cards elements.
+ * @property {HTMLElement} [sectionError] - The retry state shown when the section couldn't be rendered.
  *
  * @extends Component<Refs>
  */
@@ -33,6 +35,18 @@ export default class PaginatedList extends Component {
   /** @type {PaginatedListAspectRatioHelper} */
   #aspectRatioHelper;
 
+  /**
+   * The errors of the pages that couldn't be fetched
+   * @type {Map<number, unknown>}
+   */
+  #pageErrors = new Map();
+
+  /**
+   * Renders again what couldn't be rendered
+   * @type {(() => void) | null}
+   */
+  #retry = null;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -50,6 +64,7 @@ export default class PaginatedList extends Component {
 
     // Listen for filter updates to clear cached pages
     document.addEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    document.addEventListener(ThemeEvents.sectionError, this.#handleSectionError);
   }
 
   disconnectedCallback() {
@@ -59,6 +74,42 @@ export default class PaginatedList extends Component {
     }
     // Remove the filter update listener
     document.removeEventListener(ThemeEvents.FilterUpdate, this.#handleFilterUpdate);
+    document.removeEventListener(ThemeEvents.sectionError, this.#handleSectionError);
+  }
+
+  /**
+   * Shows the retry state when the section, or a page of it, couldn't be rendered
+   * @param {SectionErrorEvent} event - The section error event
+   */
+  #handleSectionError = (event) => {
+    if (event.detail.sectionId !== this.sectionId) return;
+
+    this.#retry = event.detail.retry;
+    this.refs.sectionError?.classList.remove('hidden');
+  };
+
+  /**
+   * Hides the retry state and renders again what couldn't be rendered
+   */
+  retry() {
+    const retry = this.#retry;
+
+    this.#retry = null;
+    this.refs.sectionError?.classList.add('hidden');
+    retry?.();
+  }
+
+  /**
+   * Reports a page that couldn't be fetched, so the shopper can retry
+   * @param {number} page - The page number
+   * @param {() => void} retry - Renders the page again
+   */
+  #reportPageError(page, retry) {
+    const error = this.#pageErrors.get(page);
+    if (!error) return;
+
+    this.#pageErrors.delete(page);
+    this.dispatchEvent(new SectionErrorEvent(this.sectionId, error, retry));
   }
 
   #observeViewMore() {
@@ -160,8 +211,14 @@ export default class PaginatedList extends Component {
     }
 
     if (!this.#shouldUsePage(pageInfo)) return;
-    const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url);
-    this.pages.set(pageNumber, pageContent);
+
+    try {
+      const pageContent = await sectionRenderer.getSectionHTML(this.sectionId, true, pageInfo.url);
+      this.pages.set(pageNumber, pageContent);
+      this.#pageErrors.delete(pageNumber);
+    } catch (error) {
+      this.#pageErrors.set(pageNumber, error);
+    }
   }
 
   async #renderNextPage() {
@@ -184,14 +241,18 @@ export default class PaginatedList extends Component {
 
       await promise;
       nextPageItemElements = this.#getGridForPage(nextPage.page);
-      if (!nextPageItemElements) return;
+
+      if (!nextPageItemElements) {
+        this.#reportPageError(nextPage.page, () => this.#renderNextPage());
+        return;
+      }
     }
 
     grid.append(...nextPageItemElements);
 
     this.#aspectRatioHelper.processNewElements();
 
-    history.pushState('', '', nextPage.url.toString());
+    this.#pushPageState(nextPage.url);
 
     requestIdleCallback(() => {
       this.#fetchPage('next');
@@ -217,7 +278,11 @@ export default class PaginatedList extends Component {
 
       await promise;
       previousPageItemElements = this.#getGridForPage(previousPage.page);
-      if (!previousPageItemElements) return;
+
+      if (!previousPageItemElements) {
+        this.#reportPageError(previousPage.page, () => this.#renderPreviousPage());
+        return;
+      }
     }
 
     // Store the current scroll position and height of the first element
@@ -230,7 +295,7 @@ export default class PaginatedList extends Component {
 
     this.#aspectRatioHelper.processNewElements();
 
-    history.pushState('', '', previousPage.url.toString());
+    this.#pushPageState(previousPage.url);
 
     // Calculate and adjust scroll position to maintain the same view
     if (firstElement) {
@@ -247,6 +312,51 @@ export default class PaginatedList extends Component {
     });
   }
 
+  /**
+   * Restores the pages that were loaded around the rendered one, when going back to a history entry.
+   * @param {{ first: number, last: number }} pages - The range of pages to load.
+   */
+  async restorePages({ first, last }) {
+    const { grid } = this.refs;
+    const loadedPages = this.#getLoadedPages();
+
+    if (!grid || !loadedPages) return;
+
+    const previousPages = range(first, loadedPages.first - 1);
+    const nextPages = range(loadedPages.last + 1, last);
+
+    await Promise.all([...previousPages, ...nextPages].map((page) => this.#fetchSpecificPage(page)));
+
+    grid.prepend(...previousPages.flatMap((page) => Array.from(this.#getGridForPage(page) ?? [])));
+    grid.append(...nextPages.flatMap((page) => Array.from(this.#getGridForPage(page) ?? [])));
+
+    this.#aspectRatioHelper?.processNewElements();
+    updateSnapshot({ pages: this.#getLoadedPages() });
+  }
+
+  /**
+   * Adds a history entry for a page, remembering which pages are loaded
+   * @param {URL} url - The URL of the page
+   */
+  #pushPageState(url) {
+    pushHistoryState(url);
+    updateSnapshot({ pages: this.#getLoadedPages() });
+  }
+
+  /**
+   * Gets the range of pages rendered in the grid
+   * @returns {{ first: number, last: number } | undefined}
+   */
+  #getLoadedPages() {
+    const cards = this.refs.grid?.querySelectorAll(':scope > [ref="cards[]"]');
+    const firstCard = cards?.[0];
+    const lastCard = cards?.[cards.length - 1];
+
+    if (!(firstCard instanceof HTMLElement) || !(lastCard instanceof HTMLElement)) return;
+
+    return { first: Number(firstCard.dataset.page), last: Number(lastCard.dataset.page) };
+  }
+
   /**
    * @param {"previous" | "next"} type
    * @returns {{ page: number, url: URL } | undefined}
@@ -302,6 +412,7 @@ export default class PaginatedList extends Component {
    */
   #handleFilterUpdate = () => {
     this.pages.clear();
+    this.#pageErrors.clear();
 
     // Resolve any pending promises to unblock waiting renders
     this.#resolveNextPagePromise?.();
@@ -353,3 +464,13 @@ export default class PaginatedList extends Component {
     }
   };
 }
+
+/**
+ * Creates the list of pages in a range
+ * @param {number} first - The first page
+ * @param {number} last - The last page
+ * @returns {number[]}
+ */
+function range(first, last) {
+  return Array.from({ length: Math.max(last - first + 1, 0) }, (_, index) => first + index);
+}
@@ -4,6 +4,7 @@ import { sectionRenderer } from '@theme/section-renderer';
 import { morph } from '@theme/morph';
 import { ThemeEvents } from '@theme/events';
 import { RecentlyViewed } from '@theme/recently-viewed-products';
+import { RecentSearches } from '@theme/recent-searches';
 import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
 
 /**
@@ -17,6 +18,9 @@ import { DialogCloseEvent, DialogComponent } from '@theme/dialog';
  * @property {HTMLElement} [recentlyViewedWrapper] - The recently viewed products wrapper.
  * @property {HTMLElement[]} [recentlyViewedTitle] - The recently viewed title elements.
  * @property {HTMLElement[]} [recentlyViewedItems] - The recently viewed product items.
+ * @property {HTMLElement} [recentSearchesWrapper] - The recent searches wrapper.
+ * @property {HTMLElement} [recentSearchesList] - The recent searches list.
+ * @property {HTMLTemplateElement} [recentSearchTemplate] - The markup of a recent search.
  * @extends {Component<Refs>}
  */
 class PredictiveSearchComponent extends Component {
@@ -50,12 +54,14 @@ class PredictiveSearchComponent extends Component {
     if (dialog) {
       document.addEventListener('keydown', this.#handleKeyboardShortcut, { signal });
       dialog.addEventListener(DialogCloseEvent.eventName, this.#handleDialogClose, { signal });
+      this.addEventListener('keydown', this.#handleModalEscape, { signal });
 
       this.addEventListener('click', this.#handleModalClick, { signal });
     } else {
       document.addEventListener(ThemeEvents.megaMenuHover, this.#blurSearch, { signal });
     }
 
+    this.#renderRecentSearches();
     onDocumentLoaded(this.#getRecentlyViewed);
   }
 
@@ -83,6 +89,19 @@ class PredictiveSearchComponent extends Component {
     this.#controller.abort();
   }
 
+  /**
+   * Handles Escape in the modal before the dialog does, as it closes on Escape. While the search has a step to
+   * undo, the event doesn't reach the dialog, so the modal stays open.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  #handleModalEscape = (event) => {
+    if (event.key !== 'Escape' || event.target !== this.refs.searchInput) return;
+    if (this.#currentIndex < 0 && this.refs.searchInput.value.length === 0) return;
+
+    event.stopPropagation();
+    this.#handleEscape(event);
+  };
+
   /**
    * Handles the CMD+K key combination.
    * @param {KeyboardEvent} event - The keyboard event.
@@ -107,27 +126,55 @@ class PredictiveSearchComponent extends Component {
       const target = this.dialog ?? this;
       target.classList.add(`color-${this.dataset.activeColorScheme}`);
     }
+    this.#updateExpanded();
   };
 
+  /**
+   * Hides the results of the header search, keeping focus on the input.
+   */
+  #collapseSearch() {
+    this.classList.remove('predictive-search--expanded');
+    if (this.dataset.activeColorScheme) {
+      this.classList.remove(`color-${this.dataset.activeColorScheme}`);
+    }
+    this.#updateExpanded();
+  }
+
+  /**
+   * Tells assistive technologies whether the results are shown.
+   */
+  #updateExpanded() {
+    const isExpanded = Boolean(this.dialog) || this.classList.contains('predictive-search--expanded');
+
+    this.refs.searchInput.setAttribute('aria-expanded', `${isExpanded && this.#allResultsItems.length > 0}`);
+  }
+
+  /**
+   * The options of every resource group: search suggestions, products, collections, pages, articles and recently
+   * viewed products. The cards of the collection, page and article carousels are refs of their slideshow rather
+   * than `resultsItems`, so the options are found by role.
+   * @returns {HTMLElement[]}
+   */
   get #allResultsItems() {
-    const containers = Array.from(
-      this.querySelectorAll(
-        '.predictive-search-results__wrapper-queries, ' +
-          '.predictive-search-results__wrapper-products, ' +
-          '.predictive-search-results__list'
-      )
-    );
-
-    const allItems = containers
-      .flatMap((container) => {
-        if (container.classList.contains('predictive-search-results__wrapper-products')) {
-          return Array.from(container.querySelectorAll('.predictive-search-results__card'));
-        }
-        return Array.from(container.querySelectorAll('[ref="resultsItems[]"], .predictive-search-results__card'));
-      })
-      .filter((item) => item instanceof HTMLElement);
+    const options = this.refs.predictiveSearchResults.querySelectorAll('[role="option"]');
 
-    return /** @type {HTMLElement[]} */ (allItems);
+    return /** @type {HTMLElement[]} */ (Array.from(options));
+  }
+
+  /**
+   * The options, by resource group, in the order they are shown.
+   * @returns {HTMLElement[][]}
+   */
+  get #resultsGroups() {
+    /** @type {Map<Element | null, HTMLElement[]>} */
+    const groups = new Map();
+
+    for (const item of this.#allResultsItems) {
+      const group = item.closest('[role="group"]');
+      groups.set(group, [...(groups.get(group) ?? []), item]);
+    }
+
+    return [...groups.values()];
   }
 
   /**
@@ -136,77 +183,122 @@ class PredictiveSearchComponent extends Component {
    */
   #isKeyboardNavigation = false;
 
+  /**
+   * The number of IDs given to options, to keep them unique when both the header and the modal search are on the
+   * page.
+   * @type {number}
+   */
+  #optionIdCount = 0;
+
   get #currentIndex() {
-    return this.#allResultsItems?.findIndex((item) => item.getAttribute('aria-selected') === 'true') ?? -1;
+    return this.#allResultsItems.findIndex((item) => item.getAttribute('aria-selected') === 'true');
   }
 
+  /**
+   * Makes an option the active descendant of the search input, or none with -1.
+   * @param {number} index - The index of the option.
+   */
   set #currentIndex(index) {
-    if (!this.#allResultsItems?.length) return;
-
-    this.#allResultsItems.forEach((item) => {
-      item.classList.remove('keyboard-focus');
-    });
+    const { searchInput } = this.refs;
+    const items = this.#allResultsItems;
+    const currentItem = items[index];
 
-    for (const [itemIndex, item] of this.#allResultsItems.entries()) {
-      if (itemIndex === index) {
-        item.setAttribute('aria-selected', 'true');
+    for (const item of items) {
+      item.setAttribute('aria-selected', `${item === currentItem}`);
+      item.classList.toggle('keyboard-focus', item === currentItem && this.#isKeyboardNavigation);
+    }
 
-        if (this.#isKeyboardNavigation) {
-          item.classList.add('keyboard-focus');
-        }
-        item.scrollIntoView({ behavior: prefersReducedMotion() ? 'instant' : 'smooth', block: 'nearest' });
-      } else {
-        item.removeAttribute('aria-selected');
-      }
+    if (!currentItem) {
+      searchInput.removeAttribute('aria-activedescendant');
+      return;
     }
-    this.refs.searchInput.focus();
+
+    if (!currentItem.id) currentItem.id = `${searchInput.id}-option-${++this.#optionIdCount}`;
+
+    searchInput.setAttribute('aria-activedescendant', currentItem.id);
+    currentItem.scrollIntoView({
+      behavior: prefersReducedMotion() ? 'instant' : 'smooth',
+      block: 'nearest',
+      inline: 'nearest',
+    });
+    searchInput.focus();
   }
 
   get #currentItem() {
-    return this.#allResultsItems?.[this.#currentIndex];
+    return this.#allResultsItems[this.#currentIndex];
   }
 
   /**
-   * Navigate through the predictive search results using arrow keys or close them with the Escape key.
+   * Implements the keyboard interaction of the search combobox.
+   *
+   * Up and Down move through the options of every group, Home and End jump to the first and last option once one
+   * is active, and Tab and Shift+Tab move to the first option of the next and previous group before leaving the
+   * results. Delete removes the active recent search. Escape first clears the active option, then clears the
+   * search in the modal or collapses the results in the header, and finally closes the modal or clears the search.
    * @param {KeyboardEvent} event - The keyboard event.
    */
   onSearchKeyDown = (event) => {
     if (event.key === 'Escape') {
-      this.#resetSearch();
-      return;
-    }
-
-    if (!this.#allResultsItems?.length || event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+      this.#handleEscape(event);
       return;
     }
 
+    const items = this.#allResultsItems;
     const currentIndex = this.#currentIndex;
-    const totalItems = this.#allResultsItems.length;
+    const lastIndex = items.length - 1;
 
     switch (event.key) {
       case 'ArrowDown':
+      case 'ArrowUp': {
+        if (!items.length) return;
+
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+
+        event.preventDefault();
+        this.expandSearch();
         this.#isKeyboardNavigation = true;
+        this.#currentIndex =
+          currentIndex < 0 && step < 0 ? lastIndex : (currentIndex + step + items.length) % items.length;
+        break;
+      }
+
+      case 'Home':
+      case 'End':
+        // The caret moves within the input until an option is active
+        if (currentIndex < 0) return;
+
         event.preventDefault();
-        this.#currentIndex = currentIndex < totalItems - 1 ? currentIndex + 1 : 0;
+        this.#isKeyboardNavigation = true;
+        this.#currentIndex = event.key === 'Home' ? 0 : lastIndex;
         break;
 
-      case 'Tab':
-        if (event.shiftKey) {
-          this.#isKeyboardNavigation = true;
+      case 'Tab': {
+        const groups = this.#resultsGroups;
+        const groupIndex = groups.findIndex((group) => group.some((item) => item === items[currentIndex]));
+        const nextGroup = event.shiftKey ? groups[groupIndex - 1] : groups[groupIndex + 1];
+        const nextItem = nextGroup?.[0];
+
+        if (nextItem && (groupIndex >= 0 || !event.shiftKey)) {
           event.preventDefault();
-          this.#currentIndex = currentIndex > 0 ? currentIndex - 1 : totalItems - 1;
-        } else {
           this.#isKeyboardNavigation = true;
-          event.preventDefault();
-          this.#currentIndex = currentIndex < totalItems - 1 ? currentIndex + 1 : 0;
+          this.#currentIndex = items.indexOf(nextItem);
+        } else if (currentIndex >= 0) {
+          // Shift+Tab from the first group returns to the input, Tab from the last one leaves the results
+          if (event.shiftKey) event.preventDefault();
+          this.#currentIndex = -1;
         }
         break;
+      }
+
+      case 'Delete': {
+        const currentItem = items[currentIndex];
+        if (!currentItem?.dataset.query || !this.refs.recentSearchesList?.contains(currentItem)) return;
 
-      case 'ArrowUp':
-        this.#isKeyboardNavigation = true;
         event.preventDefault();
-        this.#currentIndex = currentIndex > 0 ? currentIndex - 1 : totalItems - 1;
+        this.#removeRecentSearch(currentItem.dataset.query);
+        this.#currentIndex = Math.min(currentIndex, this.#allResultsItems.length - 1);
         break;
+      }
 
       case 'Enter': {
         const singleResultContainer = this.refs.predictiveSearchResults.querySelector('[data-single-result-url]');
@@ -216,10 +308,18 @@ class PredictiveSearchComponent extends Component {
           return;
         }
 
-        if (this.#currentIndex >= 0) {
+        const currentItem = this.#currentItem;
+        const link = currentItem?.querySelector('a[href]');
+
+        if (currentItem?.dataset.query) {
+          event.preventDefault();
+          this.#searchFor(currentItem.dataset.query);
+        } else if (link instanceof HTMLAnchorElement) {
+          event.preventDefault();
+          link.click();
+        } else if (this.refs.searchInput.value.trim()) {
           event.preventDefault();
-          this.#currentItem?.querySelector('a')?.click();
-        } else {
+          this.recordSearch();
           const searchUrl = new URL(Theme.routes.search_url, location.origin);
           searchUrl.searchParams.set('q', this.refs.searchInput.value);
           window.location.href = searchUrl.toString();
@@ -229,6 +329,122 @@ class PredictiveSearchComponent extends Component {
     }
   };
 
+  /**
+   * Handles the Escape key, undoing one step at a time.
+   * @param {KeyboardEvent} event - The keyboard event.
+   */
+  #handleEscape(event) {
+    const hasSearchTerm = this.refs.searchInput.value.length > 0;
+
+    // Keeps the search input from clearing itself, so the search is reset along with the results
+    event.preventDefault();
+
+    if (this.#currentIndex >= 0) {
+      this.#currentIndex = -1;
+    } else if (!this.dialog && this.classList.contains('predictive-search--expanded')) {
+      this.#collapseSearch();
+    } else if (hasSearchTerm) {
+      this.#resetSearch();
+    }
+
+    // With nothing left to undo in the modal, the dialog closes itself
+  }
+
+  /**
+   * Searches for a recent or trending search.
+   * @param {Event} event - The click event of the search.
+   */
+  selectQuery(event) {
+    const item = event.target instanceof Element ? event.target.closest('[data-query]') : null;
+
+    if (item instanceof HTMLElement && item.dataset.query) this.#searchFor(item.dataset.query);
+  }
+
+  /**
+   * Removes a recent search.
+   * @param {Event} event - The click event of the remove button.
+   */
+  removeRecentSearch(event) {
+    event.stopPropagation();
+
+    const item = event.target instanceof Element ? event.target.closest('[data-query]') : null;
+    if (!(item instanceof HTMLElement) || !item.dataset.query) return;
+
+    this.#removeRecentSearch(item.dataset.query);
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Clears the recent searches.
+   * @param {Event} event - The event.
+   */
+  clearRecentSearches(event) {
+    event.stopPropagation();
+
+    RecentSearches.clearQueries();
+    this.#renderRecentSearches();
+    this.refs.searchInput.focus();
+  }
+
+  /**
+   * Saves the search term to the recent searches, when the search is submitted.
+   */
+  recordSearch() {
+    RecentSearches.addQuery(this.refs.searchInput.value);
+  }
+
+  /**
+   * Fills the search input with a query and shows its results.
+   * @param {string} query - The query.
+   */
+  #searchFor(query) {
+    const { searchInput } = this.refs;
+
+    searchInput.value = query;
+    searchInput.focus();
+
+    this.expandSearch();
+    this.#showResetButton();
+    this.#getSearchResults(query);
+  }
+
+  /**
+   * Removes a recent search and updates the list.
+   * @param {string} query - The query.
+   */
+  #removeRecentSearch(query) {
+    RecentSearches.removeQuery(query);
+    this.#renderRecentSearches();
+  }
+
+  /**
+   * Renders the recent searches in the empty state, which the server can't as they are kept in the browser.
+   */
+  #renderRecentSearches() {
+    const { recentSearchesWrapper, recentSearchesList, recentSearchTemplate } = this.refs;
+    if (!recentSearchesWrapper || !recentSearchesList || !recentSearchTemplate) return;
+
+    const queries = RecentSearches.getQueries();
+    const removeTemplate = recentSearchesList.dataset.removeTemplate ?? '';
+
+    const items = queries.map((query) => {
+      const fragment = /** @type {DocumentFragment} */ (recentSearchTemplate.content.cloneNode(true));
+      const item = /** @type {HTMLLIElement} */ (fragment.querySelector('li'));
+      const queryButton = item.querySelector('.predictive-search-results__query');
+      const removeButton = item.querySelector('.predictive-search-results__remove-query');
+
+      item.dataset.query = query;
+      if (queryButton) queryButton.textContent = query;
+      removeButton?.setAttribute('aria-label', removeTemplate.replace('[query]', query));
+
+      return item;
+    });
+
+    recentSearchesList.replaceChildren(...items);
+    recentSearchesWrapper.hidden = queries.length === 0;
+    this.#updateExpanded();
+  }
+
   /**
    * Clears the recently viewed products.
    * @param {Event} event - The event.
@@ -282,6 +498,7 @@ class PredictiveSearchComponent extends Component {
       return;
     }
 
+    this.expandSearch();
     this.#showResetButton();
     this.#getSearchResults(searchTerm);
   }, 200);
@@ -327,6 +544,8 @@ class PredictiveSearchComponent extends Component {
 
         morph(predictiveSearchResults, resultsMarkup);
 
+        this.#currentIndex = -1;
+        this.#updateExpanded();
         this.#resetScrollPositions();
       })
       .catch((error) => {
@@ -383,6 +602,7 @@ class PredictiveSearchComponent extends Component {
     if (abortController.signal.aborted) return;
     // Prepend the recently viewed products to the collection
     collectionElement.prepend(...recentlyViewedProductsHtml.children);
+    this.#updateExpanded();
   };
 
   #hideResetButton() {
@@ -448,6 +668,9 @@ class PredictiveSearchComponent extends Component {
     if (abortController.signal.aborted) return;
 
     morph(predictiveSearchResults, parsedEmptySectionMarkup);
+    this.#renderRecentSearches();
+    this.#currentIndex = -1;
+    this.#updateExpanded();
     this.#resetScrollPositions();
   };
 
@@ -1,11 +1,24 @@
+import { productPrefetch } from '@theme/product-prefetch';
+
 // Create a new custom element for product links with images for transitions to PDP
 class ProductCardLink extends HTMLElement {
   connectedCallback() {
     this.addEventListener('click', this.#handleClick);
+
+    // Product cards prefetch their own page, with the selected variant
+    if (!this.querySelector('product-card')) {
+      productPrefetch.observe(this, () => {
+        const link = this.querySelector('a[href]');
+        if (!(link instanceof HTMLAnchorElement)) return null;
+
+        return { url: link.href, images: this.featuredMediaUrl ? [this.featuredMediaUrl] : [] };
+      });
+    }
   }
 
   disconnectedCallback() {
     this.removeEventListener('click', this.#handleClick);
+    productPrefetch.unobserve(this);
   }
 
   get productTransitionEnabled() {
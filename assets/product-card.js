@@ -4,6 +4,7 @@ import { Component } from '@theme/component';
 import { debounce, isDesktopBreakpoint, mediaQueryLarge, requestYieldCallback } from '@theme/utilities';
 import { ThemeEvents, VariantSelectedEvent, VariantUpdateEvent, SlideshowSelectEvent } from '@theme/events';
 import { morph } from '@theme/morph';
+import { productPrefetch } from '@theme/product-prefetch';
 
 /**
  * A custom element that displays a product card.
@@ -80,6 +81,11 @@ export class ProductCard extends Component {
 
     this.addEventListener('click', this.navigateToProduct);
 
+    productPrefetch.observe(this, () => {
+      const featuredMediaUrl = this.closest('product-card-link')?.getAttribute('data-featured-media-url');
+      return { url: this.productPageUrl, images: featuredMediaUrl ? [featuredMediaUrl] : [] };
+    });
+
     // Preload the next image on the slideshow to avoid white flashes on previewImage
     setTimeout(() => {
       if (this.refs.slideshow?.isNested) {
@@ -91,6 +97,7 @@ export class ProductCard extends Component {
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('click', this.navigateToProduct);
+    productPrefetch.unobserve(this);
   }
 
   #preloadNextPreviewImage() {
@@ -1,8 +1,9 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
 import { ThemeEvents, CartAddEvent, CartErrorEvent, VariantUpdateEvent } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
+import { cartStore, CartActionQueuedError } from '@theme/cart-store';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
@@ -216,16 +217,8 @@ class ProductFormComponent extends Component {
       formData.append('sections', cartItemComponentsSectionIds.join(','));
     });
 
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
+    cartStore
+      .add(formData)
       .then((response) => {
         if (response.status) {
           this.dispatchEvent(
@@ -258,7 +251,7 @@ class ProductFormComponent extends Component {
           // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
           // because our back-end still adds the max allowed amount to the cart.
           this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
+            new CartAddEvent(cartStore.cart ?? {}, this.id, {
               didError: true,
               source: 'product-form-component',
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
@@ -291,7 +284,7 @@ class ProductFormComponent extends Component {
           }
 
           this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
+            new CartAddEvent(cartStore.cart ?? {}, id.toString(), {
               source: 'product-form-component',
               itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
               productId: this.dataset.productId,
@@ -301,6 +294,15 @@ class ProductFormComponent extends Component {
         }
       })
       .catch((error) => {
+        if (error instanceof CartActionQueuedError) {
+          this.#setLiveRegionText(Theme.translations.cart_actions_pending);
+
+          setTimeout(() => {
+            this.#clearLiveRegionText();
+          }, 5000);
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
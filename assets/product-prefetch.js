@@ -0,0 +1,360 @@
+/**
+ * The number of product pages and images fetched at the same time. With Speculation Rules, it is the number of
+ * pages the rules list, as the browser fetches them all at once.
+ */
+const MAX_CONCURRENT_PREFETCHES = 2;
+
+/**
+ * The time a product card stays in view before its product page is prefetched
+ */
+const VIEWPORT_DELAY = 1000;
+
+/**
+ * The time the pointer rests on a product card before its product page is prerendered, so moving the pointer
+ * across a grid doesn't render every product it passes over
+ */
+const HOVER_DELAY = 100;
+
+/**
+ * The connection types that are too slow to spend data on pages that may not be visited
+ */
+const SLOW_CONNECTION_TYPES = ['slow-2g', '2g'];
+
+/**
+ * @typedef {Object} PrefetchTarget
+ * @property {string} url - The URL of the product page
+ * @property {string[]} [images] - The URLs of the key images of the page, like the one the view transition shows
+ */
+
+/**
+ * @typedef {Object} ObservedElement
+ * @property {() => PrefetchTarget | null} getTarget - Gets the page to prefetch for the element
+ * @property {AbortController} abortController - Removes the intent listeners
+ * @property {ReturnType<typeof setTimeout>} [hoverTimeout] - Prerenders the page once the pointer rests
+ * @property {ReturnType<typeof setTimeout>} [viewportTimeout] - Prefetches the page once the element stays in view
+ */
+
+/**
+ * Prefetches the product pages the shopper is likely to visit, so navigating to them (and the view transition
+ * into them) starts right away.
+ *
+ * Pages are prefetched when their card stays in view, and prerendered on hover or focus, with Speculation Rules
+ * where the browser supports them. Other browsers fetch the pages and their key images a few at a time. Nothing
+ * is prefetched when the shopper saves data or is on a slow connection.
+ */
+class ProductPrefetch {
+  /**
+   * The elements observed for intent
+   * @type {Map<Element, ObservedElement>}
+   */
+  #elements = new Map();
+
+  /**
+   * The URLs of the pages and images already prefetched
+   * @type {Set<string>}
+   */
+  #prefetched = new Set();
+
+  /**
+   * The pages listed in the prefetch rules, the oldest first
+   * @type {string[]}
+   */
+  #speculativePrefetches = [];
+
+  /**
+   * The rules of the pages being prefetched
+   * @type {HTMLScriptElement | null}
+   */
+  #prefetchRules = null;
+
+  /**
+   * The rules of the page being prerendered, only one is at a time
+   * @type {HTMLScriptElement | null}
+   */
+  #prerenderRules = null;
+
+  /**
+   * The prefetches waiting for a slot
+   * @type {Array<{ url: string, type: 'document' | 'image' }>}
+   */
+  #queue = [];
+
+  /**
+   * The number of prefetches in progress
+   * @type {number}
+   */
+  #activePrefetches = 0;
+
+  /**
+   * @type {IntersectionObserver | undefined}
+   */
+  #intersectionObserver;
+
+  /**
+   * Prefetches the product page when the shopper shows intent to visit it from an element
+   * @param {Element} element - The element, usually a product card
+   * @param {() => PrefetchTarget | null} getTarget - Gets the page to prefetch, which can change with the
+   * selected variant
+   */
+  observe(element, getTarget) {
+    if (this.#elements.has(element) || !canPrefetch()) return;
+
+    const abortController = new AbortController();
+    const { signal } = abortController;
+
+    /** @type {ObservedElement} */
+    const observed = { getTarget, abortController };
+    this.#elements.set(element, observed);
+
+    element.addEventListener(
+      'pointerenter',
+      () => {
+        clearTimeout(observed.hoverTimeout);
+        observed.hoverTimeout = setTimeout(() => this.#prefetchTarget(observed, true), HOVER_DELAY);
+      },
+      { signal }
+    );
+    element.addEventListener('pointerleave', () => clearTimeout(observed.hoverTimeout), { signal });
+    element.addEventListener('focusin', () => this.#prefetchTarget(observed, true), { signal });
+
+    this.#intersectionObserver ??= new IntersectionObserver(this.#handleIntersection, { threshold: 0.5 });
+    this.#intersectionObserver.observe(element);
+  }
+
+  /**
+   * Stops prefetching the product page of an element
+   * @param {Element} element - The element
+   */
+  unobserve(element) {
+    const observed = this.#elements.get(element);
+    if (!observed) return;
+
+    clearTimeout(observed.hoverTimeout);
+    clearTimeout(observed.viewportTimeout);
+    observed.abortController.abort();
+
+    this.#elements.delete(element);
+    this.#intersectionObserver?.unobserve(element);
+  }
+
+  /**
+   * Prefetches a product page and its key images
+   * @param {PrefetchTarget} target - The page to prefetch
+   * @param {boolean} [prerender] - Whether the shopper is about to visit the page, so it is worth rendering it
+   * ahead where the browser supports it
+   */
+  prefetch({ url, images = [] }, prerender = false) {
+    if (!canPrefetch()) return;
+
+    const pageUrl = normalizeUrl(url);
+
+    if (pageUrl) {
+      if (prerender && supportsSpeculationRules()) {
+        this.#prerender(pageUrl);
+      } else if (!this.#prefetched.has(pageUrl)) {
+        this.#prefetched.add(pageUrl);
+
+        if (supportsSpeculationRules()) {
+          this.#speculatePrefetch(pageUrl);
+        } else {
+          this.#enqueue(pageUrl, 'document');
+        }
+      }
+    }
+
+    if (!prerender) return;
+
+    for (const image of images) {
+      const imageUrl = new URL(image, window.location.href).href;
+      if (this.#prefetched.has(imageUrl)) continue;
+
+      this.#prefetched.add(imageUrl);
+      this.#enqueue(imageUrl, 'image');
+    }
+  }
+
+  /**
+   * Prefetches the page of an observed element
+   * @param {ObservedElement} observed - The observed element
+   * @param {boolean} prerender - Whether to prerender the page
+   */
+  #prefetchTarget(observed, prerender) {
+    const target = observed.getTarget();
+    if (target) this.prefetch(target, prerender);
+  }
+
+  /**
+   * Prefetches the pages of the elements that stay in view
+   * @param {IntersectionObserverEntry[]} entries - The intersection entries
+   */
+  #handleIntersection = (entries) => {
+    for (const entry of entries) {
+      const observed = this.#elements.get(entry.target);
+      if (!observed) continue;
+
+      clearTimeout(observed.viewportTimeout);
+
+      if (entry.isIntersecting) {
+        observed.viewportTimeout = setTimeout(() => {
+          this.#prefetchTarget(observed, false);
+          this.#intersectionObserver?.unobserve(entry.target);
+        }, VIEWPORT_DELAY);
+      }
+    }
+  };
+
+  /**
+   * Prefetches a page with Speculation Rules. The rules list the latest pages only, so the oldest one is dropped
+   * when there are too many, and can be prefetched again later.
+   * @param {string} url - The URL of the page
+   */
+  #speculatePrefetch(url) {
+    const urls = [...this.#speculativePrefetches, url];
+    const droppedUrls = urls.splice(0, urls.length - MAX_CONCURRENT_PREFETCHES);
+
+    for (const droppedUrl of droppedUrls) this.#prefetched.delete(droppedUrl);
+
+    const rules = createSpeculationRules('prefetch', urls);
+
+    this.#prefetchRules?.remove();
+    this.#prefetchRules = rules;
+    this.#speculativePrefetches = urls;
+    document.head.append(rules);
+  }
+
+  /**
+   * Prerenders a page with Speculation Rules, replacing the rules of the previous one so the browser can discard it
+   * @param {string} url - The URL of the page
+   */
+  #prerender(url) {
+    if (this.#prerenderRules?.dataset.url === url) return;
+
+    const rules = createSpeculationRules('prerender', [url]);
+    rules.dataset.url = url;
+
+    this.#prerenderRules?.remove();
+    this.#prerenderRules = rules;
+    document.head.append(rules);
+  }
+
+  /**
+   * Queues a prefetch, which starts once there is a free slot
+   * @param {string} url - The URL to prefetch
+   * @param {'document' | 'image'} type - The type of resource
+   */
+  #enqueue(url, type) {
+    this.#queue.push({ url, type });
+    this.#startNext();
+  }
+
+  /**
+   * Starts the queued prefetches there are slots for
+   */
+  #startNext() {
+    while (this.#activePrefetches < MAX_CONCURRENT_PREFETCHES) {
+      const next = this.#queue.shift();
+      if (!next) return;
+
+      this.#activePrefetches++;
+
+      const request = next.type === 'image' ? loadImage(next.url) : loadDocument(next.url);
+
+      request.finally(() => {
+        this.#activePrefetches--;
+        this.#startNext();
+      });
+    }
+  }
+}
+
+/**
+ * Checks if pages can be prefetched, which is not the case when the shopper saves data, is on a slow connection,
+ * or the theme is being edited
+ * @returns {boolean}
+ */
+function canPrefetch() {
+  if (Shopify.designMode) return false;
+
+  /** @type {{ saveData?: boolean, effectiveType?: string } | undefined} */
+  const connection = Reflect.get(navigator, 'connection');
+  if (!connection) return true;
+
+  return !connection.saveData && !SLOW_CONNECTION_TYPES.includes(connection.effectiveType ?? '');
+}
+
+/**
+ * Checks if the browser supports Speculation Rules
+ * @returns {boolean}
+ */
+function supportsSpeculationRules() {
+  return HTMLScriptElement.supports?.('speculationrules') ?? false;
+}
+
+/**
+ * Creates the Speculation Rules that prefetch or prerender pages
+ * @param {'prefetch' | 'prerender'} action - The speculation action
+ * @param {string[]} urls - The URLs of the pages
+ * @returns {HTMLScriptElement}
+ */
+function createSpeculationRules(action, urls) {
+  const script = document.createElement('script');
+  script.type = 'speculationrules';
+  script.textContent = JSON.stringify({ [action]: [{ source: 'list', urls }] });
+
+  return script;
+}
+
+/**
+ * Normalizes the URL of a page, leaving out the pages of other sites and the current page
+ * @param {string} url - The URL
+ * @returns {string | null} The URL without its hash, or null when it shouldn't be prefetched
+ */
+function normalizeUrl(url) {
+  const pageUrl = new URL(url, window.location.href);
+  pageUrl.hash = '';
+
+  if (pageUrl.origin !== window.location.origin) return null;
+  if (pageUrl.pathname === window.location.pathname && pageUrl.search === window.location.search) return null;
+
+  return pageUrl.href;
+}
+
+/**
+ * Prefetches a page into the HTTP cache, with a prefetch link where it is supported
+ * @param {string} url - The URL of the page
+ * @returns {Promise<void>} Resolves once the page is loaded, or failed to load
+ */
+function loadDocument(url) {
+  const link = document.createElement('link');
+
+  if (!link.relList.supports('prefetch')) {
+    return fetch(url, { priority: 'low' }).then(
+      () => {},
+      () => {}
+    );
+  }
+
+  return new Promise((resolve) => {
+    link.rel = 'prefetch';
+    link.href = url;
+    link.onload = link.onerror = () => resolve();
+
+    document.head.append(link);
+  });
+}
+
+/**
+ * Loads an image into the HTTP cache
+ * @param {string} url - The URL of the image
+ * @returns {Promise<void>} Resolves once the image is loaded, or failed to load
+ */
+function loadImage(url) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    image.fetchPriority = 'low';
+    image.onload = image.onerror = () => resolve();
+    image.src = url;
+  });
+}
+
+export const productPrefetch = new ProductPrefetch();
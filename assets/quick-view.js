@@ -0,0 +1,22 @@
+import { QuickAddComponent } from '@theme/quick-add';
+
+/**
+ * A custom element that opens the quick add dialog with the product details, also for products that quick add
+ * would add to the cart straight away.
+ *
+ * Inside a product card, the product card link and its selected variant are used, like quick add does.
+ * Elsewhere, the product is read from the `data-product-url` attribute.
+ */
+class QuickViewComponent extends QuickAddComponent {
+  get productPageUrl() {
+    const { productUrl } = this.dataset;
+
+    if (!productUrl || this.closest('product-card')) return super.productPageUrl;
+
+    return new URL(productUrl, location.origin).toString();
+  }
+}
+
+if (!customElements.get('quick-view-component')) {
+  customElements.define('quick-view-component', QuickViewComponent);
+}
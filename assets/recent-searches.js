@@ -0,0 +1,69 @@
+/**
+ * Updates the searches the shopper submitted in localStorage.
+ */
+export class RecentSearches {
+  /** @static @constant {string} The key used to store the searches in local storage */
+  static #STORAGE_KEY = 'recentSearches';
+  /** @static @constant {number} The maximum number of searches to store */
+  static #MAX_QUERIES = 5;
+
+  /**
+   * Adds a search to the recent searches, moving it to the top if it was already there.
+   * @param {string} query - The search query.
+   */
+  static addQuery(query) {
+    const trimmedQuery = query.trim();
+    if (!trimmedQuery) return;
+
+    const queries = [trimmedQuery, ...this.getQueries().filter((saved) => !isSameQuery(saved, trimmedQuery))];
+
+    this.#setQueries(queries.slice(0, this.#MAX_QUERIES));
+  }
+
+  /**
+   * Removes a search from the recent searches.
+   * @param {string} query - The search query.
+   */
+  static removeQuery(query) {
+    this.#setQueries(this.getQueries().filter((saved) => !isSameQuery(saved, query)));
+  }
+
+  static clearQueries() {
+    localStorage.removeItem(this.#STORAGE_KEY);
+  }
+
+  /**
+   * Retrieves the recent searches from local storage, most recent first.
+   * @returns {string[]} The search queries.
+   */
+  static getQueries() {
+    try {
+      const queries = JSON.parse(localStorage.getItem(this.#STORAGE_KEY) || '[]');
+      return Array.isArray(queries) ? queries.filter((query) => typeof query === 'string') : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * Stores the recent searches.
+   * @param {string[]} queries - The search queries.
+   */
+  static #setQueries(queries) {
+    try {
+      localStorage.setItem(this.#STORAGE_KEY, JSON.stringify(queries));
+    } catch (error) {
+      console.error('Recent searches could not be stored:', error);
+    }
+  }
+}
+
+/**
+ * Whether two search queries are the same, ignoring case and surrounding whitespace.
+ * @param {string} a - A query.
+ * @param {string} b - Another query.
+ * @returns {boolean}
+ */
+function isSameQuery(a, b) {
+  return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
@@ -1,19 +1,44 @@
 import { mediaQueryLarge, requestIdleCallback, startViewTransition } from '@theme/utilities';
 import PaginatedList from '@theme/paginated-list';
+import { registerMorphStrategy } from '@theme/morph';
+
+/**
+ * The name of the highlight of the search terms in the cards, styled with `::highlight(search-terms)`.
+ */
+const SEARCH_TERMS_HIGHLIGHT = 'search-terms';
 
 /**
  * A custom element that renders a pagniated results list
+ *
+ * On the search page, the words of the query are highlighted in the cards. The CSS Custom Highlight API leaves the
+ * markup untouched, so the highlight survives morphing and is simply recomputed when cards are added.
  */
 export default class ResultsList extends PaginatedList {
+  /**
+   * Whether highlighting the search terms is scheduled for the next frame.
+   * @type {boolean}
+   */
+  #isHighlightScheduled = false;
+
+  #mutationObserver = new MutationObserver(() => this.#scheduleHighlight());
+
   connectedCallback() {
     super.connectedCallback();
 
     mediaQueryLarge.addEventListener('change', this.#handleMediaQueryChange);
     this.setAttribute('initialized', '');
+
+    if ('highlights' in CSS) {
+      this.#mutationObserver.observe(this, { childList: true, subtree: true });
+      this.#highlightSearchTerms();
+    }
   }
 
   disconnectedCallback() {
+    super.disconnectedCallback();
+
     mediaQueryLarge.removeEventListener('change', this.#handleMediaQueryChange);
+    this.#mutationObserver.disconnect();
   }
 
   /**
@@ -56,6 +81,54 @@ export default class ResultsList extends PaginatedList {
     grid.setAttribute('product-grid-view', value);
   }
 
+  /**
+   * Highlights the search terms once the cards stop changing.
+   */
+  #scheduleHighlight() {
+    if (this.#isHighlightScheduled) return;
+
+    this.#isHighlightScheduled = true;
+    requestAnimationFrame(() => {
+      this.#isHighlightScheduled = false;
+      this.#highlightSearchTerms();
+    });
+  }
+
+  /**
+   * Highlights the words of the search query in the text of the cards.
+   */
+  #highlightSearchTerms() {
+    const query = new URLSearchParams(window.location.search).get('q') ?? '';
+    const terms = query.split(/\s+/).filter((term) => term.length > 1);
+
+    if (!terms.length) {
+      CSS.highlights.delete(SEARCH_TERMS_HIGHLIGHT);
+      return;
+    }
+
+    const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+    /** @type {Range[]} */
+    const ranges = [];
+
+    for (const card of this.refs.cards ?? []) {
+      const walker = document.createTreeWalker(card, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) =>
+          node.parentElement?.closest('script, style, template') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT,
+      });
+
+      for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        for (const match of (node.textContent ?? '').matchAll(pattern)) {
+          const range = new Range();
+          range.setStart(node, match.index);
+          range.setEnd(node, match.index + match[0].length);
+          ranges.push(range);
+        }
+      }
+    }
+
+    CSS.highlights.set(SEARCH_TERMS_HIGHLIGHT, new Highlight(...ranges));
+  }
+
   /**
    * Handles the media query change event.
    *
@@ -73,6 +146,18 @@ export default class ResultsList extends PaginatedList {
   };
 }
 
+/**
+ * Escapes the characters of a string that have a meaning in regular expressions.
+ * @param {string} string - The string.
+ * @returns {string}
+ */
+function escapeRegExp(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The grid view is picked by the shopper, so it is kept when the section is rendered again
+registerMorphStrategy({ selector: '[product-grid-view]', attributes: ['product-grid-view'] });
+
 if (!customElements.get('results-list')) {
   customElements.define('results-list', ResultsList);
 }
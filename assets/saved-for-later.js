@@ -0,0 +1,298 @@
+import { Component } from '@theme/component';
+import { CartAddEvent, SavedForLaterUpdateEvent, ThemeEvents } from '@theme/events';
+import { cartStore, CartActionQueuedError } from '@theme/cart-store';
+import { formatPrice } from '@theme/utilities';
+
+/**
+ * @typedef {Object} SavedItem
+ * @property {string} id - The variant ID and line item properties, identifying the saved item.
+ * @property {number} variantId - The ID of the saved variant.
+ * @property {number} productId - The ID of the product.
+ * @property {number} quantity - The saved quantity.
+ * @property {Record<string, string>} properties - The line item properties.
+ * @property {number | null} sellingPlan - The ID of the selling plan.
+ * @property {string} title - The title of the product.
+ * @property {string | null} variantTitle - The title of the variant.
+ * @property {string} url - The URL of the variant.
+ * @property {string | null} image - The image URL of the line item.
+ * @property {number} price - The price of a single unit when the item was saved, in cents.
+ * @property {string} currency - The ISO code of the currency of the price.
+ */
+
+const STORAGE_KEY = 'cart-saved-for-later';
+
+/**
+ * The list of cart lines the shopper moved out of the cart to buy later.
+ *
+ * The list is kept in localStorage, so it survives reloads and is shared by every tab of the store.
+ * Changes, including the ones made in other tabs, are announced with a `SavedForLaterUpdateEvent` on the document.
+ */
+class SavedForLater {
+  /**
+   * The saved items, most recently saved first.
+   * @type {SavedItem[]}
+   */
+  #items = readItems();
+
+  constructor() {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+
+      this.#items = readItems();
+      document.dispatchEvent(new SavedForLaterUpdateEvent(this.#items));
+    });
+  }
+
+  /**
+   * The saved items, most recently saved first.
+   * @returns {SavedItem[]}
+   */
+  get items() {
+    return this.#items;
+  }
+
+  /**
+   * Saves a cart line. Saving the same variant with the same properties again adds up the quantities.
+   * @param {import('./cart-store').CartLineItem} lineItem - The line item to save.
+   * @param {string} currency - The ISO code of the cart currency.
+   */
+  save(lineItem, currency) {
+    const properties = Object.fromEntries(
+      Object.entries(lineItem.properties ?? {}).filter(([, value]) => value != null && value !== '')
+    );
+    const id = `${lineItem.variant_id}:${JSON.stringify(properties)}`;
+    const existing = this.#items.find((item) => item.id === id);
+
+    /** @type {SavedItem} */
+    const item = {
+      id,
+      variantId: lineItem.variant_id,
+      productId: lineItem.product_id,
+      quantity: lineItem.quantity + (existing?.quantity ?? 0),
+      properties,
+      sellingPlan: lineItem.selling_plan_allocation?.selling_plan.id ?? null,
+      title: lineItem.product_title,
+      variantTitle: lineItem.variant_title,
+      url: lineItem.url,
+      image: lineItem.image,
+      price: lineItem.final_price,
+      currency,
+    };
+
+    this.#setItems([item, ...this.#items.filter((saved) => saved.id !== id)]);
+  }
+
+  /**
+   * Removes an item from the list.
+   * @param {string} id - The ID of the saved item.
+   */
+  remove(id) {
+    this.#setItems(this.#items.filter((item) => item.id !== id));
+  }
+
+  /**
+   * Stores the list and announces the change.
+   * @param {SavedItem[]} items - The saved items.
+   */
+  #setItems(items) {
+    this.#items = items;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (error) {
+      console.error('Saved for later list could not be stored:', error);
+    }
+
+    document.dispatchEvent(new SavedForLaterUpdateEvent(items));
+  }
+}
+
+/**
+ * Reads the saved items from localStorage.
+ * @returns {SavedItem[]}
+ */
+function readItems() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (_) {
+    return [];
+  }
+}
+
+export const savedForLater = new SavedForLater();
+
+/**
+ * A custom element that renders the saved for later list and moves items back to the cart.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} content - The wrapper that is hidden while the list is empty.
+ * @property {HTMLElement} list - The list the saved items are rendered into.
+ * @property {HTMLTemplateElement} itemTemplate - The markup of a saved item.
+ * @property {HTMLElement} liveRegion - The live region announcing the outcome of a move.
+ *
+ * @extends {Component<Refs>}
+ */
+class SavedForLaterComponent extends Component {
+  requiredRefs = ['content', 'list', 'itemTemplate', 'liveRegion'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#handleUpdate);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#handleUpdate);
+  }
+
+  /**
+   * @param {SavedForLaterUpdateEvent} event - The saved for later update event.
+   */
+  #handleUpdate = (event) => {
+    this.render(event.detail.items);
+  };
+
+  /**
+   * Renders the saved items.
+   * @param {SavedItem[]} [items] - The saved items.
+   */
+  render(items = savedForLater.items) {
+    const { content, list } = this.refs;
+
+    list.replaceChildren(...items.map((item) => this.#renderItem(item)));
+    content.classList.toggle('hidden', items.length === 0);
+  }
+
+  /**
+   * Renders a saved item from the item template.
+   * @param {SavedItem} item - The saved item.
+   * @returns {HTMLElement}
+   */
+  #renderItem(item) {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.itemTemplate.content.cloneNode(true));
+    const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+    const { quantityTemplate = '' } = this.dataset;
+
+    element.dataset.id = item.id;
+
+    for (const link of element.querySelectorAll('a')) link.href = item.url;
+
+    const image = element.querySelector('img');
+    if (image && item.image) {
+      image.src = item.image;
+    } else {
+      image?.remove();
+    }
+
+    setText(element, '.saved-for-later__title', item.title);
+    setText(element, '.saved-for-later__variant', item.variantTitle ?? '');
+    setText(element, '.saved-for-later__quantity', quantityTemplate.replace('[quantity]', String(item.quantity)));
+    setText(element, '.saved-for-later__price', formatPrice(item.price, item.currency));
+
+    return element;
+  }
+
+  /**
+   * Adds a saved item back to the cart and removes it from the list.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  moveToCart(event) {
+    const item = this.#getItem(event.target);
+    const button = /** @type {HTMLButtonElement} */ (event.target);
+
+    if (!item) return;
+
+    const formData = new FormData();
+    formData.append('id', String(item.variantId));
+    formData.append('quantity', String(item.quantity));
+
+    for (const [name, value] of Object.entries(item.properties)) {
+      formData.append(`properties[${name}]`, value);
+    }
+
+    if (item.sellingPlan) formData.append('selling_plan', String(item.sellingPlan));
+
+    const sectionIds = Array.from(document.querySelectorAll('cart-items-component'))
+      .map((component) => (component instanceof HTMLElement ? component.dataset.sectionId : undefined))
+      .filter(Boolean);
+    formData.append('sections', sectionIds.join(','));
+
+    button.disabled = true;
+
+    cartStore
+      .add(formData)
+      .then((response) => {
+        if (response.status) {
+          this.refs.liveRegion.textContent = response.message;
+          return;
+        }
+
+        savedForLater.remove(item.id);
+
+        this.dispatchEvent(
+          new CartAddEvent(cartStore.cart ?? {}, String(item.variantId), {
+            source: 'saved-for-later-component',
+            itemCount: item.quantity,
+            productId: String(item.productId),
+            sections: response.sections,
+          })
+        );
+      })
+      .catch((error) => {
+        if (error instanceof CartActionQueuedError) {
+          // The cart store adds the item once the connection is back
+          savedForLater.remove(item.id);
+          this.refs.liveRegion.textContent = Theme.translations.cart_actions_pending ?? '';
+          return;
+        }
+
+        console.error(error);
+      })
+      .finally(() => {
+        button.disabled = false;
+      });
+  }
+
+  /**
+   * Removes a saved item from the list.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  removeItem(event) {
+    const item = this.#getItem(event.target);
+
+    if (item) savedForLater.remove(item.id);
+  }
+
+  /**
+   * Gets the saved item an element belongs to.
+   * @param {HTMLElement} element - An element inside a rendered item.
+   * @returns {SavedItem | undefined}
+   */
+  #getItem(element) {
+    const id = element.closest('[data-id]')?.getAttribute('data-id');
+
+    return savedForLater.items.find((item) => item.id === id);
+  }
+}
+
+/**
+ * Sets the text of a descendant, hiding it when the text is empty.
+ * @param {HTMLElement} element - The parent element.
+ * @param {string} selector - The selector of the descendant.
+ * @param {string} text - The text.
+ */
+function setText(element, selector, text) {
+  const target = element.querySelector(selector);
+
+  if (!(target instanceof HTMLElement)) return;
+
+  target.textContent = text;
+  target.hidden = !text;
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
@@ -1,5 +1,10 @@
 import { Component } from '@theme/component';
-import { debounce } from '@theme/utilities';
+import { debounce, normalizeString } from '@theme/utilities';
+
+/**
+ * The shortest word that gets a spelling suggestion.
+ */
+const MIN_WORD_LENGTH = 3;
 
 /**
  * A custom element that allows the user to clean a search input.
@@ -56,3 +61,156 @@ class SearchPageInputComponent extends Component {
 if (!customElements.get('search-page-input-component')) {
   customElements.define('search-page-input-component', SearchPageInputComponent);
 }
+
+/**
+ * A custom element that suggests another spelling of a search that has few or no results.
+ *
+ * The words of the query are compared with the words of the product titles and tags embedded in the page, and
+ * each unknown word is replaced with the closest known one, within one or two typos.
+ *
+ * @typedef {object} SuggestionRefs
+ * @property {HTMLScriptElement} index - The JSON list of product titles and tags.
+ * @property {HTMLElement} suggestion - The element showing the suggestion.
+ * @extends {Component<SuggestionRefs>}
+ */
+class SearchSuggestionComponent extends Component {
+  requiredRefs = ['index', 'suggestion'];
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#showSuggestion();
+  }
+
+  #showSuggestion() {
+    const { index, suggestion } = this.refs;
+    const { query = '', template = '' } = this.dataset;
+    const suggestedQuery = suggestQuery(query, readWords(index));
+
+    if (!suggestedQuery) {
+      suggestion.hidden = true;
+      return;
+    }
+
+    const url = new URL(window.location.href);
+    url.searchParams.set('q', suggestedQuery);
+    url.searchParams.delete('page');
+
+    const link = document.createElement('a');
+    link.href = url.toString();
+    link.textContent = suggestedQuery;
+
+    const [before = '', after = ''] = template.split('[suggestion]');
+
+    suggestion.replaceChildren(before, link, after);
+    suggestion.hidden = false;
+  }
+}
+
+/**
+ * Reads the words of the product titles and tags, with how often they appear.
+ * @param {HTMLScriptElement} index - The JSON list of product titles and tags.
+ * @returns {Map<string, number>}
+ */
+function readWords(index) {
+  /** @type {Map<string, number>} */
+  const words = new Map();
+
+  try {
+    const texts = JSON.parse(index.textContent || '[]');
+
+    for (const text of Array.isArray(texts) ? texts : []) {
+      if (typeof text !== 'string') continue;
+
+      for (const word of getWords(text)) {
+        if (word.length >= MIN_WORD_LENGTH) words.set(word, (words.get(word) ?? 0) + 1);
+      }
+    }
+  } catch (error) {
+    console.error('The search index could not be read:', error);
+  }
+
+  return words;
+}
+
+/**
+ * Suggests a query with the unknown words replaced by the closest known ones.
+ * @param {string} query - The search query.
+ * @param {Map<string, number>} words - The known words, with how often they appear.
+ * @returns {string | null} The suggested query, or null when every word is known or has no close match.
+ */
+function suggestQuery(query, words) {
+  let hasCorrection = false;
+
+  const suggestedWords = getWords(query).map((word) => {
+    if (word.length < MIN_WORD_LENGTH || words.has(word)) return word;
+
+    const maxDistance = word.length > 4 ? 2 : 1;
+    let closestWord = word;
+    let closestDistance = maxDistance + 1;
+    let closestCount = 0;
+
+    for (const [knownWord, count] of words) {
+      if (Math.abs(knownWord.length - word.length) > maxDistance) continue;
+
+      const distance = getEditDistance(word, knownWord);
+
+      // Ties go to the word that appears most often in the catalog
+      if (distance < closestDistance || (distance === closestDistance && count > closestCount)) {
+        closestWord = knownWord;
+        closestDistance = distance;
+        closestCount = count;
+      }
+    }
+
+    if (closestWord !== word) hasCorrection = true;
+
+    return closestWord;
+  });
+
+  return hasCorrection ? suggestedWords.join(' ') : null;
+}
+
+/**
+ * Splits a text into normalized words.
+ * @param {string} text - The text.
+ * @returns {string[]}
+ */
+function getWords(text) {
+  return normalizeString(text).match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Counts the insertions, deletions, substitutions and transpositions of adjacent letters that turn a word into
+ * another one.
+ * @param {string} a - A word.
+ * @param {string} b - Another word.
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  let rowBeforePrevious = previousRow;
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min((previousRow[j] ?? 0) + 1, (row[j - 1] ?? 0) + 1, (previousRow[j - 1] ?? 0) + cost);
+
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, (rowBeforePrevious[j - 2] ?? 0) + 1);
+      }
+
+      row.push(distance);
+    }
+
+    rowBeforePrevious = previousRow;
+    previousRow = row;
+  }
+
+  return previousRow[b.length] ?? 0;
+}
+
+if (!customElements.get('search-suggestion-component')) {
+  customElements.define('search-suggestion-component', SearchSuggestionComponent);
+}
@@ -1,4 +1,210 @@
 import { morph } from '@theme/morph';
+import { CartUpdateEvent, SectionErrorEvent, ThemeEvents } from '@theme/events';
+
+/**
+ * The time section HTML is cached for, so prices and inventory aren't stale after a long session
+ */
+const CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * The maximum number of cached sections
+ */
+const CACHE_MAX_ENTRIES = 50;
+
+/**
+ * The maximum length of the cached HTML, in characters
+ */
+const CACHE_MAX_SIZE = 5_000_000;
+
+/**
+ * The maximum number of sections the Section Rendering API renders in a single request
+ */
+const MAX_SECTIONS_PER_REQUEST = 5;
+
+/**
+ * The time a section request can take before it is aborted
+ */
+const REQUEST_TIMEOUT = 10_000;
+
+/**
+ * The number of times a failed section request is retried
+ */
+const RETRY_LIMIT = 2;
+
+/**
+ * The delay before retrying a failed section request, doubled for each following retry
+ */
+const RETRY_DELAY = 500;
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [timeout] - The time a request can take before it is aborted, in milliseconds
+ * @property {number} [retries] - The number of times a failed request is retried
+ * @property {number} [retryDelay] - The delay before the first retry, in milliseconds
+ */
+
+/**
+ * Thrown when a section couldn't be rendered
+ */
+export class SectionRenderingError extends Error {
+  /**
+   * @param {string} message - The error message
+   * @param {string} url - The URL of the request
+   */
+  constructor(message, url) {
+    super(message);
+    this.name = 'SectionRenderingError';
+    this.url = url;
+  }
+}
+
+/**
+ * Thrown when the server responds to a section request with an error status
+ */
+export class SectionHTTPError extends SectionRenderingError {
+  /**
+   * @param {string} url - The URL of the request
+   * @param {number} status - The status of the response
+   * @param {number} [retryAfter] - The time the server asked to wait before retrying, in milliseconds
+   */
+  constructor(url, status, retryAfter) {
+    super(`Section request failed with status ${status}`, url);
+    this.name = 'SectionHTTPError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Thrown when a section request takes longer than its timeout
+ */
+export class SectionTimeoutError extends SectionRenderingError {
+  /**
+   * @param {string} url - The URL of the request
+   * @param {number} timeout - The timeout, in milliseconds
+   */
+  constructor(url, timeout) {
+    super(`Section request timed out after ${timeout}ms`, url);
+    this.name = 'SectionTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} sectionId - The normalized section ID
+ * @property {string} html - The section HTML
+ * @property {number} expiresAt - The time the entry expires at
+ */
+
+/**
+ * A cache of section HTML by section rendering URL, which drops expired entries and the least recently used ones
+ * once it is full
+ */
+class SectionCache {
+  /**
+   * The entries, from the least to the most recently used
+   * @type {Map<string, CacheEntry>}
+   */
+  #entries = new Map();
+
+  /**
+   * The length of the cached HTML
+   * @type {number}
+   */
+  #size = 0;
+
+  /**
+   * Gets the HTML for a section rendering URL, and marks it as recently used
+   * @param {string} url - The section rendering URL
+   * @returns {string | undefined} The section HTML, if it is cached and fresh
+   */
+  get(url) {
+    const entry = this.#getEntry(url);
+    if (!entry) return;
+
+    this.#entries.delete(url);
+    this.#entries.set(url, entry);
+
+    return entry.html;
+  }
+
+  /**
+   * Checks if the HTML for a section rendering URL is cached and fresh
+   * @param {string} url - The section rendering URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return !!this.#getEntry(url);
+  }
+
+  /**
+   * Caches the HTML for a section rendering URL
+   * @param {string} url - The section rendering URL
+   * @param {string} sectionId - The section ID
+   * @param {string} html - The section HTML
+   */
+  set(url, sectionId, html) {
+    this.delete(url);
+
+    if (html.length > CACHE_MAX_SIZE) return;
+
+    this.#entries.set(url, { sectionId: normalizeSectionId(sectionId), html, expiresAt: Date.now() + CACHE_TTL });
+    this.#size += html.length;
+
+    for (const oldestUrl of this.#entries.keys()) {
+      if (this.#entries.size <= CACHE_MAX_ENTRIES && this.#size <= CACHE_MAX_SIZE) break;
+
+      this.delete(oldestUrl);
+    }
+  }
+
+  /**
+   * Removes the HTML for a section rendering URL
+   * @param {string} url - The section rendering URL
+   */
+  delete(url) {
+    const entry = this.#entries.get(url);
+    if (!entry) return;
+
+    this.#entries.delete(url);
+    this.#size -= entry.html.length;
+  }
+
+  /**
+   * Removes the HTML for sections, whatever URL it was rendered for
+   * @param {string[]} [sectionIds] - The section IDs, all sections by default
+   */
+  invalidate(sectionIds) {
+    const normalizedIds = sectionIds?.map(normalizeSectionId);
+
+    for (const [url, entry] of this.#entries) {
+      if (!normalizedIds || normalizedIds.includes(entry.sectionId)) this.delete(url);
+    }
+  }
+
+  /**
+   * Gets the entry for a section rendering URL, removing it if it expired
+   * @param {string} url - The section rendering URL
+   * @returns {CacheEntry | undefined}
+   */
+  #getEntry(url) {
+    const entry = this.#entries.get(url);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.delete(url);
+      return;
+    }
+
+    return entry;
+  }
+}
+
+/**
+ * @typedef {Object} SectionBatch
+ * @property {Set<string>} sectionIds - The normalized IDs of the sections to render
+ * @property {Promise<Record<string, string | null>>} promise - Resolves with the HTML by section ID
+ */
 
 /**
  * A class to re-render sections using the Section Rendering API
@@ -6,9 +212,8 @@ import { morph } from '@theme/morph';
 class SectionRenderer {
   /**
    * The cache of section HTML
-   * @type {Map<string, string>}
    */
-  #cache = new Map();
+  #cache = new SectionCache();
 
   /**
    * The abort controllers by section ID
@@ -22,8 +227,27 @@ class SectionRenderer {
    */
   #pendingPromises = new Map();
 
+  /**
+   * The sections to fetch together, by the URL they are rendered for
+   * @type {Map<string, SectionBatch>}
+   */
+  #batches = new Map();
+
+  /**
+   * The sections to invalidate, by the event that invalidates them
+   * @type {Map<string, Set<string>>}
+   */
+  #invalidations = new Map();
+
+  /**
+   * The timeout and retries of section requests
+   * @type {Required<RetryOptions>}
+   */
+  #retryOptions = { timeout: REQUEST_TIMEOUT, retries: RETRY_LIMIT, retryDelay: RETRY_DELAY };
+
   constructor() {
     window.addEventListener('load', this.#cachePageSections.bind(this));
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
   }
 
   /**
@@ -31,22 +255,37 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {Object} [options] - The options
    * @param {boolean} [options.cache] - Whether to use the cache
-   * @returns {Promise<string>} The rendered section HTML
+   * @param {import('@theme/morph').MorphStrategy[]} [options.strategies] - The morph strategies for this render only
+   * @returns {Promise<string>} The rendered section HTML, which rejects with a `SectionRenderingError` when the
+   * section couldn't be rendered, after a `section:error` event is dispatched
    */
   async renderSection(sectionId, options) {
-    const { cache = !Shopify.designMode } = options ?? {};
+    const { cache = !Shopify.designMode, strategies } = options ?? {};
 
     this.#abortPendingMorph(sectionId);
 
     const abortController = new AbortController();
     this.#abortControllersBySectionId.set(sectionId, abortController);
 
-    const sectionHTML = await this.getSectionHTML(sectionId, cache);
+    let sectionHTML;
+
+    try {
+      sectionHTML = await this.getSectionHTML(sectionId, cache);
+    } catch (error) {
+      if (!abortController.signal.aborted) {
+        this.#abortControllersBySectionId.delete(sectionId);
+
+        const section = document.getElementById(buildSectionSelector(sectionId)) ?? document;
+        section.dispatchEvent(new SectionErrorEvent(sectionId, error, () => this.renderSection(sectionId, options)));
+      }
+
+      throw error;
+    }
 
     if (!abortController.signal.aborted) {
       this.#abortControllersBySectionId.delete(sectionId);
 
-      morphSection(sectionId, sectionHTML);
+      morphSection(sectionId, sectionHTML, { strategies });
     }
 
     return sectionHTML;
@@ -68,7 +307,8 @@ class SectionRenderer {
    * @param {string} sectionId - The section ID
    * @param {boolean} useCache - Whether to use the cache
    * @param {URL} url - The URL to render the section for
-   * @returns {Promise<string>} The rendered section HTML
+   * @returns {Promise<string>} The rendered section HTML, which rejects with a `SectionRenderingError` when the
+   * section couldn't be rendered
    */
   async getSectionHTML(sectionId, useCache = true, url = new URL(window.location.href)) {
     const sectionUrl = buildSectionRenderingURL(sectionId, url);
@@ -82,29 +322,141 @@ class SectionRenderer {
       if (cachedHTML) return cachedHTML;
     }
 
-    pendingPromise = fetch(sectionUrl).then((response) => {
-      return response.text();
-    });
+    pendingPromise = this.#fetchSectionHTML(sectionId, url);
 
     this.#pendingPromises.set(sectionUrl, pendingPromise);
 
-    const sectionHTML = await pendingPromise;
-    this.#pendingPromises.delete(sectionUrl);
+    try {
+      const sectionHTML = await pendingPromise;
+
+      this.#cache.set(sectionUrl, sectionId, sectionHTML);
+      return sectionHTML;
+    } finally {
+      this.#pendingPromises.delete(sectionUrl);
+    }
+  }
+
+  /**
+   * Gets the HTML for several sections rendered for the same URL, in as few requests as possible
+   * @param {string[]} sectionIds - The section IDs
+   * @param {boolean} useCache - Whether to use the cache
+   * @param {URL} url - The URL to render the sections for
+   * @returns {Promise<Record<string, string>>} The rendered section HTML, by section ID
+   */
+  async getSectionsHTML(sectionIds, useCache = true, url = new URL(window.location.href)) {
+    const entries = await Promise.all(
+      sectionIds.map(async (sectionId) => [sectionId, await this.getSectionHTML(sectionId, useCache, new URL(url))])
+    );
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Removes sections from the cache, whatever URL they were rendered for
+   * @param {string[]} [sectionIds] - The section IDs, all sections by default
+   */
+  invalidate(sectionIds) {
+    this.#cache.invalidate(sectionIds);
+  }
+
+  /**
+   * Changes the timeout and retries of the section requests
+   * @param {RetryOptions} options - The options to change
+   */
+  configure(options) {
+    this.#retryOptions = { ...this.#retryOptions, ...options };
+  }
+
+  /**
+   * Removes sections from the cache whenever an event is dispatched on the document, like the sections that
+   * depend on the cart on `ThemeEvents.cartUpdate`
+   * @param {string} eventName - The event name
+   * @param {string[]} sectionIds - The section IDs
+   */
+  invalidateOn(eventName, sectionIds) {
+    let invalidatedIds = this.#invalidations.get(eventName);
+
+    if (!invalidatedIds) {
+      const ids = new Set();
+
+      document.addEventListener(eventName, () => this.invalidate([...ids]));
+      this.#invalidations.set(eventName, ids);
+      invalidatedIds = ids;
+    }
+
+    for (const sectionId of sectionIds) invalidatedIds.add(sectionId);
+  }
+
+  /**
+   * Removes the sections rendered by a cart operation from the cache, as they are out of date
+   * @param {CartUpdateEvent} event - The cart update event
+   */
+  #handleCartUpdate = (event) => {
+    const { sections } = event.detail.data;
+    if (sections) this.invalidate(Object.keys(sections));
+  };
+
+  /**
+   * Fetches the HTML for a section, together with the other sections requested for the same URL in the same task
+   * @param {string} sectionId - The section ID
+   * @param {URL} url - The URL to render the section for
+   * @returns {Promise<string>} The rendered section HTML
+   */
+  async #fetchSectionHTML(sectionId, url) {
+    const batchUrl = new URL(url);
+    batchUrl.searchParams.delete('section_id');
+    batchUrl.searchParams.delete('sections');
+    batchUrl.searchParams.sort();
+
+    const key = batchUrl.toString();
+    let batch = this.#batches.get(key);
+
+    if (!batch) {
+      /** @type {Set<string>} */
+      const sectionIds = new Set();
+
+      const promise = Promise.resolve().then(() => {
+        this.#batches.delete(key);
+        return fetchSections([...sectionIds], batchUrl, this.#retryOptions);
+      });
+
+      batch = { sectionIds, promise };
+      this.#batches.set(key, batch);
+    }
+
+    const normalizedId = normalizeSectionId(sectionId);
+    batch.sectionIds.add(normalizedId);
+
+    const sectionsHTML = await batch.promise;
+    const sectionHTML = sectionsHTML[normalizedId];
+
+    if (sectionHTML == null) {
+      throw new SectionRenderingError(`Section ${sectionId} could not be rendered`, key);
+    }
 
-    this.#cache.set(sectionUrl, sectionHTML);
     return sectionHTML;
   }
 
+  /**
+   * Checks if the HTML for a section is cached
+   * @param {string} sectionId - The section ID
+   * @param {URL} url - The URL to render the section for
+   * @returns {boolean} Whether the section HTML is cached
+   */
+  isCached(sectionId, url = new URL(window.location.href)) {
+    return this.#cache.has(buildSectionRenderingURL(sectionId, url));
+  }
+
   /**
    * Caches the page sections
    */
   #cachePageSections() {
     for (const section of document.querySelectorAll('.shopify-section')) {
       const url = buildSectionRenderingURL(section.id);
-      if (this.#cache.get(url)) return;
+      if (this.#cache.has(url)) return;
       if (containsShadowRoot(section)) return;
 
-      this.#cache.set(url, section.outerHTML);
+      this.#cache.set(url, section.id, section.outerHTML);
     }
   }
 }
@@ -124,6 +476,134 @@ function buildSectionRenderingURL(sectionId, url = new URL(window.location.href)
   return url.toString();
 }
 
+/**
+ * Fetches sections rendered for a URL. A single section is requested on its own, and several are requested in
+ * groups with the `sections` parameter.
+ * @param {string[]} sectionIds - The normalized section IDs
+ * @param {URL} url - The URL to render the sections for
+ * @param {RetryOptions} options - The timeout and retries of the requests
+ * @returns {Promise<Record<string, string | null>>} The rendered section HTML by section ID, null for the sections
+ * that could not be rendered
+ */
+async function fetchSections(sectionIds, url, options) {
+  const [sectionId] = sectionIds;
+
+  if (sectionIds.length === 1 && sectionId) {
+    const response = await fetchSection(buildSectionRenderingURL(sectionId, new URL(url)), options);
+
+    return { [sectionId]: await response.text() };
+  }
+
+  /** @type {Promise<Record<string, string | null>>[]} */
+  const requests = [];
+
+  for (let index = 0; index < sectionIds.length; index += MAX_SECTIONS_PER_REQUEST) {
+    const sectionsUrl = new URL(url);
+    sectionsUrl.searchParams.set('sections', sectionIds.slice(index, index + MAX_SECTIONS_PER_REQUEST).join(','));
+
+    requests.push(fetchSection(sectionsUrl.toString(), options).then((response) => response.json()));
+  }
+
+  return Object.assign({}, ...(await Promise.all(requests)));
+}
+
+/**
+ * Fetches a section rendering URL, retrying with an increasing delay when the request times out, doesn't reach
+ * the server or the server is unavailable. Section requests can safely be retried as they don't change anything.
+ * @param {string} url - The URL to fetch
+ * @param {RetryOptions & { signal?: AbortSignal }} [options] - The timeout and retries, and a signal to abort the
+ * request
+ * @returns {Promise<Response>} The successful response
+ */
+export async function fetchSection(url, options = {}) {
+  const { signal, timeout = REQUEST_TIMEOUT, retries = RETRY_LIMIT, retryDelay = RETRY_DELAY } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchWithTimeout(url, timeout, signal);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+
+      const delay = retryDelay * 2 ** attempt;
+      const retryAfter = error instanceof SectionHTTPError ? (error.retryAfter ?? 0) : 0;
+
+      await wait(Math.min(Math.max(delay, retryAfter), timeout), signal);
+    }
+  }
+}
+
+/**
+ * Fetches a URL, aborting the request when it takes longer than the timeout
+ * @param {string} url - The URL to fetch
+ * @param {number} timeout - The timeout, in milliseconds
+ * @param {AbortSignal} [signal] - A signal to abort the request
+ * @returns {Promise<Response>} The successful response
+ */
+async function fetchWithTimeout(url, timeout, signal) {
+  signal?.throwIfAborted();
+
+  const controller = new AbortController();
+  const abort = () => controller.abort(signal?.reason);
+  let timedOut = false;
+
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  signal?.addEventListener('abort', abort);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+
+    if (!response.ok) {
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      throw new SectionHTTPError(url, response.status, retryAfter > 0 ? retryAfter * 1000 : undefined);
+    }
+
+    return response;
+  } catch (error) {
+    if (timedOut) throw new SectionTimeoutError(url, timeout);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+/**
+ * Checks if a failed section request can be retried
+ * @param {unknown} error - The error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error instanceof SectionHTTPError) return error.status === 429 || error.status >= 500;
+
+  // `fetch` rejects with a TypeError when the network request fails
+  return error instanceof SectionTimeoutError || error instanceof TypeError;
+}
+
+/**
+ * Waits before retrying a request
+ * @param {number} delay - The delay, in milliseconds
+ * @param {AbortSignal} [signal] - A signal to stop waiting
+ * @returns {Promise<void>}
+ */
+function wait(delay, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(resolve, delay);
+
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timeoutId);
+        reject(signal.reason);
+      },
+      { once: true }
+    );
+  });
+}
+
 /**
  * Builds a section selector
  * @param {string} sectionId - The section ID
@@ -160,8 +640,11 @@ function containsShadowRoot(element) {
  *
  * @param {string} sectionId - The section ID
  * @param {string} html - The new markup the section should morph into
+ * @param {Object} [options] - The options
+ * @param {import('@theme/morph').MorphStrategy[]} [options.strategies] - The morph strategies for this morph only, on
+ * top of the registered ones
  */
-export async function morphSection(sectionId, html) {
+export async function morphSection(sectionId, html, options) {
   const fragment = new DOMParser().parseFromString(html, 'text/html');
   const existingElement = document.getElementById(buildSectionSelector(sectionId));
   const newElement = fragment.getElementById(buildSectionSelector(sectionId));
@@ -174,7 +657,7 @@ export async function morphSection(sectionId, html) {
     throw new Error(`Section ${sectionId} not found in the section rendering response`);
   }
 
-  morph(existingElement, newElement);
+  morph(existingElement, newElement, { strategies: options?.strategies });
 }
 
 export const sectionRenderer = new SectionRenderer();
@@ -248,6 +248,58 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Format an amount in cents as a localized price
+ * @param {number} cents The amount in cents
+ * @param {string} [currency] The ISO code of the currency, defaults to the active currency
+ * @returns {string} The formatted price
+ */
+export function formatPrice(cents, currency = Shopify.currency.active) {
+  return new Intl.NumberFormat(Shopify.locale, { style: 'currency', currency }).format(cents / 100);
+}
+
+/**
+ * Format an amount in cents as a number without the currency symbol, like `1.234,50` in German
+ * @param {number} cents The amount in cents
+ * @param {string} [currency] The ISO code of the currency, defaults to the active currency
+ * @returns {string} The formatted amount
+ */
+export function formatAmount(cents, currency = Shopify.currency.active) {
+  const { maximumFractionDigits } = new Intl.NumberFormat(Shopify.locale, {
+    style: 'currency',
+    currency,
+  }).resolvedOptions();
+
+  return new Intl.NumberFormat(Shopify.locale, {
+    minimumFractionDigits: maximumFractionDigits,
+    maximumFractionDigits,
+  }).format(cents / 100);
+}
+
+/**
+ * Parse an amount typed in the number format of the active locale, like `1.234,50` in German
+ * @param {string} value The value to parse
+ * @returns {number | null} The amount in cents, or null if the value isn't a number
+ */
+export function parseAmount(value) {
+  const parts = new Intl.NumberFormat(Shopify.locale).formatToParts(11111.1);
+  const group = parts.find((part) => part.type === 'group')?.value ?? ',';
+  const decimal = parts.find((part) => part.type === 'decimal')?.value ?? '.';
+
+  const normalizedValue = value
+    .replace(/\s/g, '')
+    .split(group)
+    .join('')
+    .replace(decimal, '.')
+    .replace(/[^\d.]/g, '');
+
+  if (!normalizedValue) return null;
+
+  const amount = Number(normalizedValue);
+
+  return Number.isFinite(amount) ? Math.round(amount * 100) : null;
+}
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
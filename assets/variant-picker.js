@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
-import { VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
+import { SectionErrorEvent, VariantSelectedEvent, VariantUpdateEvent } from '@theme/events';
 import { morph } from '@theme/morph';
+import { fetchSection } from '@theme/section-renderer';
 import { requestYieldCallback } from '@theme/utilities';
 
 /**
@@ -17,6 +18,12 @@ export default class VariantPicker extends Component {
   /** @type {AbortController | undefined} */
   #abortController;
 
+  /**
+   * Fetches the section that couldn't be fetched again
+   * @type {(() => void) | undefined}
+   */
+  #retry;
+
   connectedCallback() {
     super.connectedCallback();
 
@@ -150,7 +157,9 @@ export default class VariantPicker extends Component {
     this.#abortController?.abort();
     this.#abortController = new AbortController();
 
-    fetch(requestUrl, { signal: this.#abortController.signal })
+    this.#hideSectionError();
+
+    fetchSection(requestUrl, { signal: this.#abortController.signal })
       .then((response) => response.text())
       .then((responseText) => {
         this.#pendingRequestUrl = undefined;
@@ -183,10 +192,34 @@ export default class VariantPicker extends Component {
           console.warn('Fetch aborted by user');
         } else {
           console.error(error);
+          this.#showSectionError(error, () => this.fetchUpdatedSection(requestUrl, shouldMorphMain));
         }
       });
   }
 
+  /**
+   * Fetches the section that couldn't be fetched again
+   */
+  retry() {
+    this.#retry?.();
+  }
+
+  /**
+   * Shows the retry state of a section that couldn't be fetched
+   * @param {unknown} error - The error
+   * @param {() => void} retry - Fetches the section again
+   */
+  #showSectionError(error, retry) {
+    this.#retry = retry;
+    this.querySelector('[ref="sectionError"]')?.classList.remove('hidden');
+    this.dispatchEvent(new SectionErrorEvent(this.dataset.sectionId ?? '', error, retry));
+  }
+
+  #hideSectionError() {
+    this.#retry = undefined;
+    this.querySelector('[ref="sectionError"]')?.classList.add('hidden');
+  }
+
   /**
    * @typedef {Object} NewProduct
    * @property {string} id
@@ -0,0 +1,115 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent, WishlistUpdateEvent } from '@theme/events';
+import { wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that adds a product to the wishlist, or removes it.
+ *
+ * With a `data-variant-id` attribute the button saves the selected variant and follows the variant picker
+ * of its section, dialog or product card. Without it, the whole product is saved.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLButtonElement} button - The toggle button.
+ * @property {HTMLElement} liveRegion - The live region announcing the change.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistButton extends Component {
+  requiredRefs = ['button', 'liveRegion'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate, { signal });
+
+    if (this.tracksVariant) {
+      const target = this.closest('.shopify-section, dialog, product-card');
+      target?.addEventListener(ThemeEvents.variantUpdate, this.#handleVariantUpdate, { signal });
+    }
+
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Adds the product to the wishlist, or removes it.
+   */
+  toggle() {
+    const { productId, productUrl = '', addedText = '', removedText = '' } = this.dataset;
+
+    if (!productId) throw new Error('Product ID missing');
+
+    const added = wishlist.toggle({ productId, variantId: this.variantId, url: productUrl });
+
+    this.refs.liveRegion.textContent = added ? addedText : removedText;
+  }
+
+  /**
+   * Renders whether the product is in the wishlist.
+   */
+  render() {
+    const { productId = '' } = this.dataset;
+    const active = wishlist.has(productId, this.variantId);
+
+    this.refs.button.setAttribute('aria-pressed', String(active));
+    this.classList.toggle('wishlist-button--active', active);
+  }
+
+  /**
+   * @param {WishlistUpdateEvent} event - The wishlist update event.
+   */
+  #handleWishlistUpdate = (event) => {
+    const { productId } = event.detail.data;
+
+    if (productId && productId !== this.dataset.productId) return;
+
+    this.render();
+  };
+
+  /**
+   * Follows the selected variant.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #handleVariantUpdate = (event) => {
+    const { newProduct, productId } = event.detail.data;
+
+    if (newProduct) {
+      this.dataset.productId = newProduct.id;
+      this.dataset.productUrl = newProduct.url;
+    } else if (productId !== this.dataset.productId) {
+      return;
+    }
+
+    this.dataset.variantId = event.detail.resource?.id ?? '';
+    this.render();
+  };
+
+  /**
+   * Whether the button saves the selected variant instead of the whole product.
+   * @returns {boolean}
+   */
+  get tracksVariant() {
+    return this.hasAttribute('data-variant-id');
+  }
+
+  /**
+   * The ID of the variant the button saves.
+   * @returns {string | null}
+   */
+  get variantId() {
+    return this.tracksVariant ? this.dataset.variantId || null : null;
+  }
+}
+
+if (!customElements.get('wishlist-button')) {
+  customElements.define('wishlist-button', WishlistButton);
+}
@@ -0,0 +1,67 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, WishlistUpdateEvent } from '@theme/events';
+import { onAnimationEnd } from '@theme/utilities';
+import { wishlist } from '@theme/wishlist';
+
+/**
+ * A custom element that displays a wishlist icon with the number of saved items.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} bubble - The bubble element.
+ * @property {HTMLElement} bubbleText - The bubble text element.
+ * @property {HTMLElement} bubbleCount - The bubble count element.
+ * @property {HTMLElement} bubbleLabel - The accessible label of the count.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistIcon extends Component {
+  requiredRefs = ['bubble', 'bubbleText', 'bubbleCount', 'bubbleLabel'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+    this.renderBubble(wishlist.items.length, false);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+  }
+
+  /**
+   * @param {WishlistUpdateEvent} event - The wishlist update event.
+   */
+  #handleWishlistUpdate = (event) => {
+    this.renderBubble(event.detail.count, !document.hidden && event.detail.data.added === true);
+  };
+
+  /**
+   * Renders the bubble.
+   * @param {number} count - The number of items in the wishlist.
+   * @param {boolean} [animate] - Whether to animate the bubble.
+   */
+  renderBubble = async (count, animate = true) => {
+    const { bubble, bubbleText, bubbleCount, bubbleLabel } = this.refs;
+    const { countTemplate = '' } = this.dataset;
+
+    bubbleCount.classList.toggle('hidden', count === 0);
+    bubble.classList.toggle('visually-hidden', count === 0);
+    bubble.classList.toggle('cart-bubble--animating', count > 0 && animate);
+
+    bubbleCount.textContent = count < 100 ? String(count) : '';
+    bubbleLabel.textContent = countTemplate.replace('[count]', String(count));
+
+    this.classList.toggle('header-actions__wishlist-icon--has-items', count > 0);
+
+    if (!animate) return;
+    await onAnimationEnd(bubbleText);
+
+    bubble.classList.remove('cart-bubble--animating');
+  };
+}
+
+if (!customElements.get('wishlist-icon')) {
+  customElements.define('wishlist-icon', WishlistIcon);
+}
@@ -0,0 +1,110 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { sectionRenderer } from '@theme/section-renderer';
+import { wishlist } from '@theme/wishlist';
+
+/**
+ * The section that renders the card of a single wishlist item.
+ */
+const CARD_SECTION_ID = 'section-rendering-wishlist-card';
+
+/**
+ * A custom element that renders the wishlist on the wishlist page.
+ *
+ * Each item is rendered by the `section-rendering-wishlist-card` section on its product URL, so cards show
+ * the current price and availability rather than the ones from when the item was saved.
+ *
+ * @typedef {object} Refs
+ * @property {HTMLElement} grid - The list the cards are rendered into.
+ * @property {HTMLElement} emptyState - The message shown while the wishlist is empty.
+ *
+ * @extends {Component<Refs>}
+ */
+class WishlistPage extends Component {
+  requiredRefs = ['grid', 'emptyState'];
+
+  /**
+   * An abort controller for the active render (if there is one)
+   * @type {AbortController | null}
+   */
+  #activeRender = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+    this.render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.wishlistUpdate, this.#handleWishlistUpdate);
+    this.#activeRender?.abort();
+  }
+
+  #handleWishlistUpdate = () => {
+    this.render();
+  };
+
+  /**
+   * Renders a card for each wishlist item. Items whose product is no longer available are left out.
+   */
+  async render() {
+    const { grid, emptyState } = this.refs;
+    const { items } = wishlist;
+
+    this.#activeRender?.abort();
+
+    const abortController = new AbortController();
+    this.#activeRender = abortController;
+
+    grid.setAttribute('aria-busy', 'true');
+
+    const cards = await Promise.all(
+      items.map((item) =>
+        this.#fetchCard(item).catch((error) => {
+          console.error('Wishlist card error:', error);
+          return null;
+        })
+      )
+    );
+
+    if (abortController.signal.aborted) return;
+
+    const listItems = cards
+      .filter((card) => card !== null)
+      .map((card) => {
+        const listItem = document.createElement('li');
+        listItem.className = 'wishlist-page__item';
+        listItem.append(card);
+        return listItem;
+      });
+
+    grid.replaceChildren(...listItems);
+    grid.setAttribute('aria-busy', 'false');
+    emptyState.classList.toggle('hidden', listItems.length > 0);
+
+    this.#activeRender = null;
+  }
+
+  /**
+   * Fetches the card of a wishlist item.
+   * @param {import('./wishlist').WishlistItem} item - The wishlist item.
+   * @returns {Promise<Element | null>} The card, or null if the product could not be rendered.
+   */
+  async #fetchCard(item) {
+    const url = new URL(item.url, location.origin);
+
+    if (item.variantId) url.searchParams.set('variant', item.variantId);
+
+    const html = await sectionRenderer.getSectionHTML(CARD_SECTION_ID, true, url);
+    const card = new DOMParser().parseFromString(html, 'text/html').querySelector('.wishlist-card');
+
+    return card ? document.importNode(card, true) : null;
+  }
+}
+
+if (!customElements.get('wishlist-page')) {
+  customElements.define('wishlist-page', WishlistPage);
+}
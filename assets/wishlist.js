@@ -0,0 +1,143 @@
+import { WishlistUpdateEvent } from '@theme/events';
+
+/**
+ * @typedef {Object} WishlistItem
+ * @property {string} productId - The ID of the product.
+ * @property {string | null} variantId - The ID of the variant, or null when the whole product was saved.
+ * @property {string} url - The URL of the product, without a selected variant.
+ * @property {number} addedAt - When the item was added, in milliseconds since the epoch.
+ */
+
+const STORAGE_KEY = 'wishlist';
+
+/**
+ * The products and variants the shopper saved to their wishlist.
+ *
+ * The wishlist is kept in localStorage, so it survives reloads and is shared by every tab of the store.
+ * Changes, including the ones made in other tabs, are announced with a `WishlistUpdateEvent` on the document.
+ */
+class Wishlist {
+  /**
+   * The wishlist items, most recently added first.
+   * @type {WishlistItem[]}
+   */
+  #items = readItems();
+
+  constructor() {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+
+      this.#items = readItems();
+      document.dispatchEvent(new WishlistUpdateEvent(this.#items));
+    });
+  }
+
+  /**
+   * The wishlist items, most recently added first.
+   * @returns {WishlistItem[]}
+   */
+  get items() {
+    return this.#items;
+  }
+
+  /**
+   * Whether a product or variant is in the wishlist.
+   * @param {string} productId - The ID of the product.
+   * @param {string | null} [variantId] - The ID of the variant.
+   * @returns {boolean}
+   */
+  has(productId, variantId = null) {
+    return this.#items.some((item) => matches(item, productId, variantId));
+  }
+
+  /**
+   * Adds a product or variant to the wishlist.
+   * @param {Object} item - The item to add.
+   * @param {string} item.productId - The ID of the product.
+   * @param {string | null} [item.variantId] - The ID of the variant.
+   * @param {string} item.url - The URL of the product.
+   */
+  add({ productId, variantId = null, url }) {
+    if (this.has(productId, variantId)) return;
+
+    this.#setItems([{ productId, variantId, url, addedAt: Date.now() }, ...this.#items], {
+      productId,
+      variantId,
+      added: true,
+    });
+  }
+
+  /**
+   * Removes a product or variant from the wishlist.
+   * @param {string} productId - The ID of the product.
+   * @param {string | null} [variantId] - The ID of the variant.
+   */
+  remove(productId, variantId = null) {
+    if (!this.has(productId, variantId)) return;
+
+    this.#setItems(
+      this.#items.filter((item) => !matches(item, productId, variantId)),
+      { productId, variantId, added: false }
+    );
+  }
+
+  /**
+   * Adds a product or variant to the wishlist, or removes it if it is already there.
+   * @param {Object} item - The item to toggle.
+   * @param {string} item.productId - The ID of the product.
+   * @param {string | null} [item.variantId] - The ID of the variant.
+   * @param {string} item.url - The URL of the product.
+   * @returns {boolean} Whether the item is in the wishlist now.
+   */
+  toggle(item) {
+    if (this.has(item.productId, item.variantId)) {
+      this.remove(item.productId, item.variantId);
+      return false;
+    }
+
+    this.add(item);
+    return true;
+  }
+
+  /**
+   * Stores the wishlist and announces the change.
+   * @param {WishlistItem[]} items - The wishlist items.
+   * @param {{ productId: string, variantId: string | null, added: boolean }} change - The change that was made.
+   */
+  #setItems(items, change) {
+    this.#items = items;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } catch (error) {
+      console.error('Wishlist could not be stored:', error);
+    }
+
+    document.dispatchEvent(new WishlistUpdateEvent(items, change));
+  }
+}
+
+/**
+ * Whether a wishlist item is the given product or variant.
+ * @param {WishlistItem} item - The wishlist item.
+ * @param {string} productId - The ID of the product.
+ * @param {string | null} variantId - The ID of the variant.
+ * @returns {boolean}
+ */
+function matches(item, productId, variantId) {
+  return item.productId === productId && item.variantId === variantId;
+}
+
+/**
+ * Reads the wishlist items from localStorage.
+ * @returns {WishlistItem[]}
+ */
+function readItems() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch (_) {
+    return [];
+  }
+}
+
+export const wishlist = new Wishlist();